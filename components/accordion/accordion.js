@@ -4,10 +4,23 @@
  * This component acts as a container for `<bs-accordion-item>` elements.
  * It does not use Shadow DOM to ensure full compatibility with Bootstrap's global CSS.
  *
+ * The item headers follow the WAI-ARIA accordion pattern: Up and Down move the
+ * focus to the previous and next header, Home and End to the first and last one.
+ *
  * @element bs-accordion
  *
  * @attr {boolean} flush - If present, removes some borders and rounded corners.
  * @attr {boolean} always-open - If present, items stay open when another item is opened.
+ * @attr {string} filter - Filters the items by a search input. Without a value, a search
+ *   input is rendered above the accordion; otherwise the value is a selector of an existing input.
+ *   Items that do not match are hidden, items whose body matches are expanded, matches are
+ *   highlighted with `<mark>`, and clearing the input restores the previous state.
+ * @attr {string} filter-placeholder - The placeholder and label of the built-in search input.
+ * @attr {boolean} controls - If present, "Expand all | Collapse all" buttons are rendered above the accordion.
+ * @attr {number} heading-level - The heading level (1-6) of the item headers. Defaults to 2;
+ *   an item's own heading-level takes precedence.
+ *
+ * @fires bs-change - When the set of open items changes. `detail.openItems` lists the open items.
  *
  * @slot - Content containing `<bs-accordion-item>` elements.
  *
@@ -20,12 +33,36 @@
  *     Content for item 2.
  *   </bs-accordion-item>
  * </bs-accordion>
+ *
+ * @example
+ * <input type="search" id="faq-search" class="form-control">
+ * <bs-accordion filter="#faq-search">...</bs-accordion>
+ *
+ * @example
+ * accordion.openItems = ['shipping', 2]; // by id or index
+ * accordion.addEventListener('bs-change', e => console.log(e.detail.openItems));
  */
-class BsAccordion extends HTMLElement {
+class BsAccordion extends BsElement {
+  static get attributes() {
+    return {
+      flush: { type: Boolean },
+      'always-open': { type: Boolean },
+      filter: { type: String },
+      'filter-placeholder': { type: String, default: 'Search' },
+      controls: { type: Boolean },
+      'heading-level': { type: Number }
+    };
+  }
+
   constructor() {
     super();
-    /** @type {boolean} */
-    this._initialized = false;
+    this._onFilterInput = (e) => this.filterItems(e.target.value);
+    this._filterInput = null;
+    this._filterQuery = '';
+    // The expanded state of the items before filtering, restored when the filter is cleared
+    this._unfilteredState = null;
+    this._marks = [];
+    this._pendingChange = false;
   }
 
   /**
@@ -33,16 +70,12 @@ class BsAccordion extends HTMLElement {
    * Initializes the accordion and generates a unique ID if none exists.
    */
   connectedCallback() {
-    if (this._initialized) return;
-    
     // Ensure the element has an ID for data-bs-parent references
     if (!this.id) {
       this.id = `accordion-${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    setTimeout(() => {
-      this._render();
-    }, 0);
+    super.connectedCallback();
   }
 
   /**
@@ -50,22 +83,16 @@ class BsAccordion extends HTMLElement {
    * @private
    */
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
     this.style.display = 'block';
 
     const container = document.createElement('div');
     container.classList.add('accordion');
-    if (this.hasAttribute('flush')) {
+    if (this._attr('flush')) {
       container.classList.add('accordion-flush');
     }
 
     // Pass through classes from the host element to the underlying div
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      container.className += ` ${hostClasses}`;
-    }
+    this._passClasses(container);
 
     // Move children to the container
     while (this.firstChild) {
@@ -73,6 +100,363 @@ class BsAccordion extends HTMLElement {
     }
     
     this.appendChild(container);
+    this._container = container;
+
+    // Report the open items once a toggle has started; with only one open
+    // item allowed, the show of one item and the hide of another are reported together
+    container.addEventListener('show.bs.collapse', (e) => this._onToggle(e));
+    container.addEventListener('hide.bs.collapse', (e) => this._onToggle(e));
+    container.addEventListener('keydown', (e) => this._onKeydown(e));
+
+    if (this._attr('controls')) this._renderControls();
+    this._bindFilter();
+  }
+
+  _disconnect() {
+    this._unbindFilter();
+  }
+
+  _reconnect() {
+    this._bindFilter();
+  }
+
+  /**
+   * Updates the accordion after an attribute change.
+   * @param {string} name
+   * @private
+   */
+  _update(name) {
+    if (name === 'flush') {
+      this._container.classList.toggle('accordion-flush', this._attr('flush'));
+    } else if (name === 'always-open') {
+      this.querySelectorAll('bs-accordion-item').forEach(item => {
+        if (item.closest('bs-accordion') === this && item._initialized) {
+          item._updateParent();
+        }
+      });
+    } else if (name === 'filter') {
+      this.clearFilter();
+      this._unbindFilter();
+      if (this._builtInFilter) {
+        this._builtInFilter.remove();
+        this._builtInFilter = null;
+      }
+      this._bindFilter();
+    } else if (name === 'controls') {
+      if (this._attr('controls')) {
+        this._renderControls();
+      } else if (this._controls) {
+        this._controls.remove();
+        this._controls = null;
+      }
+    } else if (name === 'heading-level') {
+      this._items().forEach(item => {
+        if (item._initialized) item._updateHeading();
+      });
+    } else if (name === 'filter-placeholder' && this._builtInFilter) {
+      this._builtInFilter.placeholder = this._attr('filter-placeholder');
+      this._builtInFilter.setAttribute('aria-label', this._attr('filter-placeholder'));
+    }
+  }
+
+  /**
+   * The open items, in document order.
+   * Setting it opens the given items and closes all others; items are given by
+   * id, by index or as elements. Several items can be opened without always-open.
+   * @type {BsAccordionItem[]}
+   */
+  get openItems() {
+    return this._items().filter(item => item._isOpen());
+  }
+
+  set openItems(refs) {
+    const items = this._items();
+    const open = new Set(Array.from(refs || [], ref => {
+      if (typeof ref === 'number') return items[ref];
+      if (typeof ref === 'string') return items.find(item => item.id === ref);
+      return ref;
+    }));
+    this._changeOpenItems(() => items.forEach(item => item._setExpanded(open.has(item))));
+  }
+
+  /**
+   * Opens all items, even without always-open. This happens at once, without
+   * the collapse transition.
+   */
+  expandAll() {
+    this._changeOpenItems(() => this._items().forEach(item => item._setExpanded(true)));
+  }
+
+  /**
+   * Closes all items at once, without the collapse transition.
+   */
+  collapseAll() {
+    this._changeOpenItems(() => this._items().forEach(item => item._setExpanded(false)));
+  }
+
+  /**
+   * Runs a change of the open items and dispatches bs-change if the set has changed.
+   * @param {Function} callback
+   * @private
+   */
+  _changeOpenItems(callback) {
+    this._initialize();
+    const before = this.openItems;
+    callback();
+    this._dispatchChange(before);
+  }
+
+  /**
+   * Dispatches bs-change after a user toggle, once the collapse plugin has
+   * updated all affected items.
+   * @param {Event} e - The show or hide event of an item's collapse.
+   * @private
+   */
+  _onToggle(e) {
+    if (!e.target.classList.contains('accordion-collapse') || e.target.closest('bs-accordion') !== this) return;
+    if (this._pendingChange) return;
+
+    // The event fires before the plugin changes anything, so this is the previous state
+    const before = this.openItems;
+    this._pendingChange = true;
+    queueMicrotask(() => {
+      this._pendingChange = false;
+      this._dispatchChange(before);
+    });
+  }
+
+  /**
+   * @param {BsAccordionItem[]} before - The open items before the change.
+   * @private
+   */
+  _dispatchChange(before) {
+    const openItems = this.openItems;
+    if (openItems.length === before.length && openItems.every((item, i) => item === before[i])) return;
+
+    this.dispatchEvent(new CustomEvent('bs-change', {
+      bubbles: true,
+      detail: { openItems }
+    }));
+  }
+
+  /**
+   * Moves the focus between the item headers with the arrow, Home and End keys.
+   * The headers are looked up on every key press, so added, removed and
+   * filtered items are taken into account.
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _onKeydown(e) {
+    if (!['ArrowUp', 'ArrowDown', 'Home', 'End'].includes(e.key)) return;
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+    const headers = this._items()
+      .filter(item => item._initialized && !item.hidden)
+      .map(item => item.querySelector('.accordion-button'))
+      .filter(button => !button.disabled);
+    const index = headers.indexOf(e.target);
+    if (index === -1) return;
+
+    let next;
+    if (e.key === 'ArrowUp') {
+      next = headers[(index - 1 + headers.length) % headers.length];
+    } else if (e.key === 'ArrowDown') {
+      next = headers[(index + 1) % headers.length];
+    } else if (e.key === 'Home') {
+      next = headers[0];
+    } else {
+      next = headers[headers.length - 1];
+    }
+
+    e.preventDefault();
+    next.focus();
+  }
+
+  /**
+   * Renders the "Expand all | Collapse all" buttons.
+   * @private
+   */
+  _renderControls() {
+    if (this._controls) return;
+
+    const controls = document.createElement('div');
+    controls.className = 'd-flex justify-content-end align-items-center gap-2 mb-2';
+
+    const button = (label, action) => {
+      const el = document.createElement('button');
+      el.type = 'button';
+      el.className = 'btn btn-link btn-sm p-0';
+      el.textContent = label;
+      el.addEventListener('click', action);
+      return el;
+    };
+
+    const separator = document.createElement('span');
+    separator.className = 'text-body-secondary';
+    separator.setAttribute('aria-hidden', 'true');
+    separator.textContent = '|';
+
+    controls.appendChild(button('Expand all', () => this.expandAll()));
+    controls.appendChild(separator);
+    controls.appendChild(button('Collapse all', () => this.collapseAll()));
+
+    this.insertBefore(controls, this._container);
+    this._controls = controls;
+  }
+
+  /**
+   * @returns {BsAccordionItem[]} The items of this accordion, without those of nested accordions.
+   * @private
+   */
+  _items() {
+    return Array.from(this.querySelectorAll('bs-accordion-item'))
+      .filter(item => item.closest('bs-accordion') === this);
+  }
+
+  /**
+   * Listens to the search input of the filter attribute, rendering the
+   * built-in one if needed, and applies its current value.
+   * @private
+   */
+  _bindFilter() {
+    const selector = this._attr('filter');
+    if (selector === null) return;
+
+    let input;
+    if (selector) {
+      // A selector that matches nothing is ignored, like other invalid attribute values
+      input = document.querySelector(selector);
+      if (!input) return;
+    } else {
+      if (!this._builtInFilter) {
+        input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'form-control mb-3';
+        input.placeholder = this._attr('filter-placeholder');
+        input.setAttribute('aria-label', this._attr('filter-placeholder'));
+        this.insertBefore(input, this._controls || this._container);
+        this._builtInFilter = input;
+      }
+      input = this._builtInFilter;
+    }
+
+    input.addEventListener('input', this._onFilterInput);
+    this._filterInput = input;
+    if (input.value) this.filterItems(input.value);
+  }
+
+  /**
+   * @private
+   */
+  _unbindFilter() {
+    if (this._filterInput) {
+      this._filterInput.removeEventListener('input', this._onFilterInput);
+      this._filterInput = null;
+    }
+  }
+
+  /**
+   * Shows only the items whose header or body contains the query (ignoring case),
+   * expands those whose body matches and highlights the matches with `<mark>`.
+   * An empty query clears the filter.
+   * @param {string} query
+   */
+  filterItems(query) {
+    this._initialize();
+    query = String(query || '').trim();
+    if (!query) {
+      this.clearFilter();
+      return;
+    }
+
+    const items = this._items();
+    items.forEach(item => item._initialize());
+    if (!this._unfilteredState) {
+      this._unfilteredState = new Map(items.map(item => [item, item._attr('expanded')]));
+    }
+
+    this._removeMarks();
+    this._filterQuery = query;
+    const needle = query.toLowerCase();
+    const before = this.openItems;
+    items.forEach(item => {
+      const header = item.querySelector('.accordion-button');
+      const body = item.querySelector('.accordion-body');
+      const headerMatches = header.textContent.toLowerCase().includes(needle);
+      const bodyMatches = body.textContent.toLowerCase().includes(needle);
+
+      item.hidden = !headerMatches && !bodyMatches;
+      // Several items may match, so they are expanded without the one-open-item rule
+      item._setExpanded(bodyMatches);
+      if (headerMatches) this._mark(header, query);
+      if (bodyMatches) this._mark(body, query);
+    });
+    this._dispatchChange(before);
+  }
+
+  /**
+   * Clears the filter: shows all items, removes the highlights and restores
+   * the expanded state from before filtering. The search input is not changed.
+   */
+  clearFilter() {
+    if (!this._unfilteredState) return;
+
+    this._removeMarks();
+    this._filterQuery = '';
+    this._changeOpenItems(() => this._items().forEach(item => {
+      item.hidden = false;
+      if (this._unfilteredState.has(item)) {
+        item._setExpanded(this._unfilteredState.get(item));
+      }
+    }));
+    this._unfilteredState = null;
+  }
+
+  /**
+   * Wraps the occurrences of the query in the text of an element in `<mark>`.
+   * @param {HTMLElement} root
+   * @param {string} query
+   * @private
+   */
+  _mark(root, query) {
+    const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(${escaped})`, 'i');
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+      // With a capturing group, the odd parts are the matches
+      const parts = node.data.split(pattern);
+      if (parts.length < 2) return;
+
+      const fragment = document.createDocumentFragment();
+      parts.forEach((part, i) => {
+        if (i % 2) {
+          const mark = document.createElement('mark');
+          mark.textContent = part;
+          fragment.appendChild(mark);
+          this._marks.push(mark);
+        } else if (part) {
+          fragment.appendChild(document.createTextNode(part));
+        }
+      });
+      node.replaceWith(fragment);
+    });
+  }
+
+  /**
+   * Unwraps the `<mark>` elements added by the filter.
+   * @private
+   */
+  _removeMarks() {
+    this._marks.forEach(mark => {
+      const parent = mark.parentNode;
+      if (!parent) return;
+      mark.replaceWith(...mark.childNodes);
+      parent.normalize();
+    });
+    this._marks = [];
   }
 }
 
@@ -85,73 +469,86 @@ class BsAccordion extends HTMLElement {
  *
  * @attr {string} title - The title text for the accordion item header.
  * @attr {boolean} expanded - If present, the item is expanded by default.
+ * @attr {boolean} html - If present, the title is rendered as sanitized HTML (see `BsCore.sanitizer`).
+ * @attr {string} src - URL of an HTML fragment that is fetched when the item is first expanded
+ *   and replaces the body. The fragment is not sanitized, so only use URLs that return markup you trust.
+ * @attr {boolean} refresh - If present, the lazy body (src or template) is loaded again on every expand.
+ * @attr {number} heading-level - The heading level (1-6) of the header. Defaults to the
+ *   heading-level of the accordion, or 2.
  *
  * @slot header - Custom header element (overrides the title attribute).
- * @slot - Content for the accordion item body.
+ * @slot placeholder - Shown in the body while the src fragment loads (defaults to a spinner).
+ * @slot - Content for the accordion item body. A `<template>` child is a lazy body: its content
+ *   replaces the body when the item is first expanded.
  *
  * @example
  * <bs-accordion-item title="Accordion Item #1" expanded>
  *   <strong>This is the first item's accordion body.</strong>
  * </bs-accordion-item>
+ *
+ * @example
+ * <bs-accordion-item title="Monthly report">
+ *   <template><table class="table">...</table></template>
+ * </bs-accordion-item>
+ * <bs-accordion-item title="Yearly report" src="/reports/yearly.html"></bs-accordion-item>
  */
-class BsAccordionItem extends HTMLElement {
+class BsAccordionItem extends BsElement {
+  static get attributes() {
+    return {
+      title: { type: String, default: '' },
+      expanded: { type: Boolean },
+      html: { type: Boolean },
+      src: { type: String },
+      refresh: { type: Boolean },
+      'heading-level': { type: Number }
+    };
+  }
+
   constructor() {
     super();
     /** @type {bootstrap.Collapse|null} */
     this.collapse = null;
-    /** @type {boolean} */
-    this._initialized = false;
+    this._bodyTemplate = null;
+    this._placeholder = null;
+    this._bodyLoaded = false;
+    this._requestId = 0;
   }
 
   /**
-   * Called when the element is added to the document.
-   * Schedules the initial render.
+   * Called when the element is added to the document. An item that is moved
+   * to another accordion picks up its new parent.
    */
   connectedCallback() {
-    if (this._initialized) return;
+    super.connectedCallback();
 
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+    const collapseEl = this._initialized && this.querySelector('.accordion-collapse');
+    if (collapseEl && collapseEl.getAttribute('data-bs-parent') !== this._parentSelector()) {
+      this._updateParent();
+    }
+    if (this._initialized) this._updateHeading();
   }
 
-  /**
-   * Called when the element is removed from the document.
-   * Disposes of the Bootstrap collapse instance.
-   */
-  disconnectedCallback() {
+  _disconnect() {
     if (this.collapse) {
       this.collapse.dispose();
       this.collapse = null;
     }
   }
 
+  _reconnect() {
+    this._createCollapse();
+  }
+
   /**
    * Renders the accordion item structure and initializes the Bootstrap plugin.
    * @private
    */
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
     this.style.display = 'block';
 
-    const title = this.getAttribute('title') || '';
-    const expanded = this.hasAttribute('expanded');
-    
-    // Find parent bs-accordion to handle data-bs-parent
-    const parentAccordion = this.closest('bs-accordion');
-    let parentId = null;
-    if (parentAccordion) {
-      // Ensure parent has an ID
-      if (!parentAccordion.id) {
-        parentAccordion.id = `accordion-${Math.random().toString(36).substr(2, 9)}`;
-      }
-      if (!parentAccordion.hasAttribute('always-open')) {
-        parentId = parentAccordion.id;
-      }
-    }
+    const title = this._attr('title');
+    const expanded = this._attr('expanded');
+    const parentId = this._parentId();
 
     const itemId = this.id || `accordion-item-${Math.random().toString(36).substr(2, 9)}`;
     const collapseId = `collapse-${itemId}`;
@@ -166,50 +563,279 @@ class BsAccordionItem extends HTMLElement {
     itemElement.className = 'accordion-item';
 
     // Pass through classes from the host element to the underlying div
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      itemElement.className += ` ${hostClasses}`;
+    this._passClasses(itemElement);
+
+    const header = document.createElement(`h${this._headingLevel()}`);
+    header.className = 'accordion-header';
+
+    const headerButton = document.createElement('button');
+    headerButton.id = `heading-${itemId}`;
+    headerButton.className = expanded ? 'accordion-button' : 'accordion-button collapsed';
+    headerButton.type = 'button';
+    headerButton.setAttribute('data-bs-toggle', 'collapse');
+    headerButton.setAttribute('data-bs-target', `#${collapseId}`);
+    headerButton.setAttribute('aria-expanded', expanded);
+    headerButton.setAttribute('aria-controls', collapseId);
+    this._setContent(headerButton, title);
+    header.appendChild(headerButton);
+
+    const collapseElement = document.createElement('div');
+    collapseElement.id = collapseId;
+    collapseElement.className = expanded ? 'accordion-collapse collapse show' : 'accordion-collapse collapse';
+    collapseElement.setAttribute('role', 'region');
+    collapseElement.setAttribute('aria-labelledby', headerButton.id);
+    if (parentId) {
+      collapseElement.setAttribute('data-bs-parent', `#${parentId}`);
     }
 
-    itemElement.innerHTML = `
-        <h2 class="accordion-header">
-          <button class="accordion-button ${expanded ? '' : 'collapsed'}" type="button" 
-                  data-bs-toggle="collapse" data-bs-target="#${collapseId}" 
-                  aria-expanded="${expanded}" aria-controls="${collapseId}">
-            ${title}
-          </button>
-        </h2>
-        <div id="${collapseId}" class="accordion-collapse collapse ${expanded ? 'show' : ''}" 
-             ${parentId ? `data-bs-parent="#${parentId}"` : ''}>
-          <div class="accordion-body">
-          </div>
-        </div>
-    `;
-
-    this.innerHTML = '';
-    this.appendChild(itemElement);
+    const bodyContainer = document.createElement('div');
+    bodyContainer.className = 'accordion-body';
+    collapseElement.appendChild(bodyContainer);
 
-    const bodyContainer = itemElement.querySelector('.accordion-body');
-    const headerButton = itemElement.querySelector('.accordion-button');
+    itemElement.appendChild(header);
+    itemElement.appendChild(collapseElement);
+
+    this.textContent = '';
+    this.appendChild(itemElement);
 
     // Distribute children to their respective slots
+    this._headerSlotted = false;
     Array.from(fragment.childNodes).forEach(child => {
       if (child.nodeType === Node.ELEMENT_NODE && child.getAttribute('slot') === 'header') {
-        headerButton.innerHTML = ''; // Overwrite default title attribute
+        headerButton.textContent = ''; // Overwrite default title attribute
         headerButton.appendChild(child);
+        this._headerSlotted = true;
+      } else if (child.nodeType === Node.ELEMENT_NODE && child.getAttribute('slot') === 'placeholder') {
+        // Kept aside until the src fragment loads
+        child.removeAttribute('slot');
+        this._placeholder = child;
+      } else if (child instanceof HTMLTemplateElement && !this._bodyTemplate) {
+        // Stamped into the body when the item is first expanded
+        this._bodyTemplate = child;
       } else {
         // Text nodes and elements without slot="header" go to the body
         bodyContainer.appendChild(child);
       }
     });
 
-    // Initialize Bootstrap Collapse if available
+    // Keep the expanded attribute in sync when the item is toggled by the user
     const collapseEl = this.querySelector('.accordion-collapse');
-    if (window.bootstrap && window.bootstrap.Collapse) {
-      this.collapse = new bootstrap.Collapse(collapseEl, {
-        toggle: false
-      });
+    collapseEl.addEventListener('show.bs.collapse', (e) => {
+      if (e.target === collapseEl) this._loadBody();
+    });
+    collapseEl.addEventListener('shown.bs.collapse', (e) => {
+      if (e.target === collapseEl) this._reflectExpanded(true);
+    });
+    collapseEl.addEventListener('hidden.bs.collapse', (e) => {
+      if (e.target === collapseEl) this._reflectExpanded(false);
+    });
+
+    if (expanded) this._loadBody();
+
+    this._createCollapse();
+  }
+
+  /**
+   * Creates the Bootstrap collapse (or the built-in fallback) once it is available.
+   * The expanded state is already part of the markup, so toggle stays off.
+   * @private
+   */
+  _createCollapse() {
+    BsCore.whenPlugin('Collapse', () => {
+      if (this.collapse || !this.isConnected) return;
+      this._ensureCollapse();
+    });
+  }
+
+  /**
+   * Updates the rendered item after an attribute change.
+   * @param {string} name
+   * @private
+   */
+  _update(name) {
+    if (this._reflecting) return;
+
+    if (name === 'title' || name === 'html') {
+      // A header slot takes precedence over the attribute
+      if (!this._headerSlotted) {
+        this._setContent(this.querySelector('.accordion-button'), this._attr('title'));
+      }
+    } else if (name === 'expanded') {
+      const expanded = this._attr('expanded');
+      this._ensureCollapse();
+      if (!this.collapse) {
+        // Not upgraded yet; the plugin picks the state up from the markup
+        this._renderExpanded(expanded);
+      } else if (expanded) {
+        this.collapse.show();
+      } else {
+        this.collapse.hide();
+      }
+    } else if (name === 'heading-level') {
+      this._updateHeading();
+    } else if (name === 'src') {
+      this._requestId++;
+      this._bodyLoaded = false;
+      if (this._attr('expanded')) this._loadBody();
+    }
+  }
+
+  /**
+   * @returns {number} The heading level of the header, from the item, the
+   *   parent accordion or the default of 2.
+   * @private
+   */
+  _headingLevel() {
+    let level = this._attr('heading-level');
+    const accordion = this.closest('bs-accordion');
+    if (level === null && accordion instanceof BsAccordion) {
+      level = accordion._attr('heading-level');
+    }
+    return level === null ? 2 : Math.min(6, Math.max(1, Math.round(level)));
+  }
+
+  /**
+   * Replaces the header element if the heading level has changed.
+   * @private
+   */
+  _updateHeading() {
+    const header = this.querySelector('.accordion-header');
+    const tagName = `H${this._headingLevel()}`;
+    if (header.tagName === tagName) return;
+
+    const heading = document.createElement(tagName);
+    heading.className = header.className;
+    while (header.firstChild) {
+      heading.appendChild(header.firstChild);
+    }
+    header.replaceWith(heading);
+  }
+
+  /**
+   * Returns the ID of the parent accordion that only allows one open item, if any.
+   * @returns {string|null}
+   * @private
+   */
+  _parentId() {
+    const parentAccordion = this.closest('bs-accordion');
+    if (!parentAccordion) return null;
+
+    // Ensure parent has an ID
+    if (!parentAccordion.id) {
+      parentAccordion.id = `accordion-${Math.random().toString(36).substr(2, 9)}`;
     }
+    return parentAccordion.hasAttribute('always-open') ? null : parentAccordion.id;
+  }
+
+  /**
+   * @returns {string|null} The data-bs-parent selector for the current parent accordion.
+   * @private
+   */
+  _parentSelector() {
+    const parentId = this._parentId();
+    return parentId ? `#${parentId}` : null;
+  }
+
+  /**
+   * Re-reads the parent accordion and its always-open setting. The collapse plugin
+   * only reads its parent when it is created, so the instance is recreated.
+   * @private
+   */
+  _updateParent() {
+    const collapseEl = this.querySelector('.accordion-collapse');
+    const parentSelector = this._parentSelector();
+    if (parentSelector) {
+      collapseEl.setAttribute('data-bs-parent', parentSelector);
+    } else {
+      collapseEl.removeAttribute('data-bs-parent');
+    }
+
+    if (this.collapse) {
+      this.collapse.dispose();
+      this.collapse = null;
+      this._ensureCollapse();
+    }
+  }
+
+  /**
+   * Shows or hides the body in the markup, without a transition.
+   * @param {boolean} expanded
+   * @private
+   */
+  _renderExpanded(expanded) {
+    if (expanded) this._loadBody();
+    this.querySelector('.accordion-collapse').classList.toggle('show', expanded);
+    const headerButton = this.querySelector('.accordion-button');
+    headerButton.classList.toggle('collapsed', !expanded);
+    headerButton.setAttribute('aria-expanded', expanded);
+  }
+
+  /**
+   * Shows or hides the body at once, bypassing the accordion's one-open-item
+   * rule, and updates the expanded attribute.
+   * @param {boolean} expanded
+   * @private
+   */
+  _setExpanded(expanded) {
+    this._initialize();
+    this._renderExpanded(expanded);
+    this._reflectExpanded(expanded);
+  }
+
+  /**
+   * @returns {boolean} Whether the item is open or opening.
+   * @private
+   */
+  _isOpen() {
+    if (!this._initialized) return this._attr('expanded');
+    return this.querySelector('.accordion-button').getAttribute('aria-expanded') === 'true';
+  }
+
+  /**
+   * Sets or removes the expanded attribute without showing or hiding the item.
+   * @param {boolean} expanded
+   * @private
+   */
+  _reflectExpanded(expanded) {
+    this._reflecting = true;
+    this.toggleAttribute('expanded', expanded);
+    this._reflecting = false;
+  }
+
+  /**
+   * Fills the body from the src fragment or the template, unless it has been
+   * loaded already and the refresh attribute is not set.
+   * @private
+   */
+  _loadBody() {
+    const src = this._attr('src');
+    if (!src && !this._bodyTemplate) return;
+    if (this._bodyLoaded && !this._attr('refresh')) return;
+
+    const body = this.querySelector('.accordion-body');
+    if (!src) {
+      body.replaceChildren(this._bodyTemplate.content.cloneNode(true));
+      this._bodyLoaded = true;
+      return;
+    }
+
+    // Only the latest request fills the body
+    const requestId = ++this._requestId;
+    this._bodyLoaded = false;
+    body.replaceChildren(this._placeholder ? this._placeholder.cloneNode(true) : BsCore.createSpinner());
+
+    BsCore.fetchHTML(src)
+      .then(html => {
+        if (requestId !== this._requestId) return;
+        body.replaceChildren(BsCore.parseHTML(html));
+        this._bodyLoaded = true;
+      })
+      .catch(error => {
+        if (requestId !== this._requestId) return;
+
+        // Not marked as loaded, so the next expand tries again
+        body.replaceChildren(BsCore.createLoadError(error));
+      });
   }
 
   /**
@@ -257,12 +883,11 @@ class BsAccordionItem extends HTMLElement {
    * @private
    */
   _ensureCollapse() {
-    if (!this._initialized) {
-      this._render();
-    }
-    if (!this.collapse && window.bootstrap && window.bootstrap.Collapse) {
+    this._initialize();
+    const Collapse = BsCore.plugin('Collapse');
+    if (!this.collapse && Collapse) {
       const collapseEl = this.querySelector('.accordion-collapse');
-      this.collapse = new bootstrap.Collapse(collapseEl, {
+      this.collapse = new Collapse(collapseEl, {
         toggle: false
       });
     }
@@ -10,6 +10,15 @@
  * @attr {boolean} dismissible - If present, the alert will have a close button.
  * @attr {boolean} fade - If present, the alert will fade out when dismissed.
  * @attr {string} heading - The heading text for the alert.
+ * @attr {boolean} html - If present, the heading is rendered as sanitized HTML (see `BsCore.sanitizer`).
+ * @attr {number} timeout - If set, the alert is closed after this many milliseconds. The countdown pauses
+ *   while the alert is hovered or focused and while the page is hidden, and then resumes with the time left.
+ * @attr {boolean} progress - If present, a countdown bar shows the time left before the alert closes.
+ * @attr {string} dismiss-key - If set, closing the alert is remembered in localStorage under this key,
+ *   and the alert is not shown on later page loads (closing by the timeout or a cancelled close does not count).
+ * @attr {string} dismiss-for - How long the dismissal is remembered, e.g. '30m', '12h', '7d' or '2w'
+ *   (units ms, s, m, h, d, w; a plain number is milliseconds). Without it, the dismissal does not expire.
+ *   If the value is not a duration, the dismissal is not remembered at all.
  *
  * @slot heading - Custom heading element (overrides heading attribute).
  * @slot - Content for the alert body.
@@ -18,58 +27,77 @@
  * <bs-alert variant="success" dismissible fade heading="Success!">
  *   Your changes have been saved successfully.
  * </bs-alert>
+ *
+ * @example
+ * <bs-alert variant="info" timeout="5000" progress>Saved as draft.</bs-alert>
+ *
+ * @example
+ * <bs-alert variant="warning" dismissible dismiss-key="maintenance-2024-06" dismiss-for="7d">
+ *   Scheduled maintenance on Saturday.
+ * </bs-alert>
  */
-class BsAlert extends HTMLElement {
+class BsAlert extends BsElement {
+  static get attributes() {
+    return {
+      variant: { type: String, default: 'primary' },
+      dismissible: { type: Boolean },
+      fade: { type: Boolean },
+      heading: { type: String },
+      html: { type: Boolean },
+      timeout: { type: Number },
+      progress: { type: Boolean },
+      'dismiss-key': { type: String },
+      'dismiss-for': { type: String }
+    };
+  }
+
   constructor() {
     super();
     /** @type {bootstrap.Alert|null} */
     this.alert = null;
-    /** @type {boolean} */
-    this._initialized = false;
-  }
 
-  /**
-   * Called when the element is added to the document.
-   * Schedules the initial render.
-   */
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+    /** @type {BsCountdown|null} The countdown of the timeout attribute (see _startTimer). */
+    this._countdown = null;
+    this._timingOut = false;
+    /** @type {boolean} Whether the alert is hidden because it was dismissed on an earlier visit. */
+    this._dismissed = false;
   }
 
   /**
    * Called when the element is removed from the document.
    * Disposes of the Bootstrap alert instance.
    */
-  disconnectedCallback() {
+  _disconnect() {
+    this._stopTimer();
     if (this.alert) {
       this.alert.dispose();
       this.alert = null;
     }
   }
 
+  _reconnect() {
+    this._createAlert();
+    if (!this._dismissed) this._startTimer();
+  }
+
   /**
    * Renders the alert structure and initializes the Bootstrap plugin.
    * @private
    */
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const variantAttr = this.getAttribute('variant') || 'primary';
-    const dismissible = this.hasAttribute('dismissible');
-    const fade = this.hasAttribute('fade');
-    const headingAttr = this.getAttribute('heading');
+    const variantAttr = this._attr('variant');
+    const dismissible = this._attr('dismissible');
+    const fade = this._attr('fade');
+    const headingAttr = this._attr('heading');
 
-    this.style.display = 'block';
+    // Dismissed on an earlier visit: rendered, but not shown
+    this._dismissed = BsAlert.isDismissed(this._attr('dismiss-key'));
+    this.style.display = this._dismissed ? 'none' : 'block';
 
     const alertElement = document.createElement('div');
     alertElement.className = `alert alert-${variantAttr}`;
     alertElement.setAttribute('role', 'alert');
+    this._alertElement = alertElement;
 
     if (dismissible) {
       alertElement.classList.add('alert-dismissible');
@@ -79,10 +107,7 @@ class BsAlert extends HTMLElement {
     }
 
     // Pass through classes from the host element to the underlying div
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      alertElement.className += ` ${hostClasses}`;
-    }
+    this._passClasses(alertElement);
 
     // Capture children and clear innerHTML for the new structure
     const fragment = document.createDocumentFragment();
@@ -93,36 +118,24 @@ class BsAlert extends HTMLElement {
     // Containers for distribution (temporary)
     const headingContainer = document.createElement('div');
     const bodyContainer = document.createElement('div');
-    const dismissContainer = document.createElement('div');
 
     // Initial heading from attribute
     if (headingAttr) {
-      const h4 = document.createElement('h4');
-      h4.className = 'alert-heading';
-      h4.textContent = headingAttr;
-      headingContainer.appendChild(h4);
-    }
-
-    // Initial dismiss button
-    if (dismissible) {
-      const btn = document.createElement('button');
-      btn.type = 'button';
-      btn.className = 'btn-close';
-      btn.setAttribute('data-bs-dismiss', 'alert');
-      btn.setAttribute('aria-label', 'Close');
-      dismissContainer.appendChild(btn);
+      headingContainer.appendChild(this._createHeading(headingAttr));
     }
 
     // Distribute children
+    this._headingSlotted = false;
     Array.from(fragment.childNodes).forEach(child => {
       if (child.nodeType === Node.ELEMENT_NODE && child.hasAttribute('slot')) {
         const slot = child.getAttribute('slot');
         if (slot === 'heading') {
-          headingContainer.innerHTML = ''; // Override attribute
+          headingContainer.textContent = ''; // Override attribute
           if (child instanceof HTMLElement) {
             child.classList.add('alert-heading');
           }
           headingContainer.appendChild(child);
+          this._headingSlotted = true;
         } else {
           bodyContainer.appendChild(child);
         }
@@ -132,7 +145,7 @@ class BsAlert extends HTMLElement {
     });
 
     // Clear and append in order
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(alertElement);
     
     while (headingContainer.firstChild) {
@@ -143,16 +156,167 @@ class BsAlert extends HTMLElement {
       alertElement.appendChild(bodyContainer.firstChild);
     }
     
-    while (dismissContainer.firstChild) {
-      alertElement.appendChild(dismissContainer.firstChild);
+    if (dismissible) {
+      alertElement.appendChild(this._createDismissButton());
     }
 
-    // Initialize Bootstrap Alert if available
-    if (window.bootstrap && window.bootstrap.Alert) {
-      this.alert = new bootstrap.Alert(alertElement);
+    this._countdown = BsCore.countdown(alertElement, {
+      onDone: () => this._closeByTimeout(),
+      progressClass: 'alert-progress position-absolute bottom-0 start-0 w-100 bg-transparent',
+      progressStyle: { borderRadius: '0 0 var(--bs-alert-border-radius) var(--bs-alert-border-radius)' },
+      // Follows the text color of the variant
+      barStyle: { backgroundColor: 'currentColor' }
+    });
+    this._countdown.showProgress(this._attr('progress'));
+
+    // Not on close.bs.alert: listeners of the page may still cancel that
+    alertElement.addEventListener('closed.bs.alert', (e) => {
+      if (e.target !== alertElement) return;
+      // Only a close by the user is remembered, not one by the timeout
+      if (!this._timingOut) this._rememberDismissal();
+      this._timingOut = false;
+      this._stopTimer();
+    });
+
+    this._createAlert();
+    if (this.isConnected && !this._dismissed) this._startTimer();
+  }
+
+  /**
+   * Creates the Bootstrap alert (or the built-in fallback) once it is available.
+   * @private
+   */
+  _createAlert() {
+    BsCore.whenPlugin('Alert', () => {
+      if (this.alert || !this.isConnected) return;
+      this._ensureAlert();
+    });
+  }
+
+  /**
+   * Updates the rendered alert after an attribute change.
+   * @param {string} name
+   * @param {string|null} oldValue
+   * @private
+   */
+  _update(name, oldValue) {
+    const alertElement = this._alertElement;
+
+    switch (name) {
+      case 'variant':
+        this._replaceClass(alertElement, `alert-${this._attr('variant', oldValue)}`, `alert-${this._attr('variant')}`);
+        break;
+      case 'dismissible': {
+        const dismissible = this._attr('dismissible');
+        const button = alertElement.querySelector(':scope > .btn-close');
+        alertElement.classList.toggle('alert-dismissible', dismissible);
+        if (dismissible && !button) {
+          alertElement.appendChild(this._createDismissButton());
+        } else if (!dismissible && button) {
+          button.remove();
+        }
+        break;
+      }
+      case 'fade':
+        alertElement.classList.toggle('fade', this._attr('fade'));
+        alertElement.classList.toggle('show', this._attr('fade'));
+        break;
+      case 'heading':
+      case 'html': {
+        // A heading slot takes precedence over the attribute
+        if (this._headingSlotted) break;
+        const headingAttr = this._attr('heading');
+        const heading = alertElement.querySelector(':scope > .alert-heading');
+        if (headingAttr && heading) {
+          this._setContent(heading, headingAttr);
+        } else if (headingAttr) {
+          alertElement.insertBefore(this._createHeading(headingAttr), alertElement.firstChild);
+        } else if (heading) {
+          heading.remove();
+        }
+        break;
+      }
+      case 'timeout':
+        // Restart the countdown with the new timeout
+        if (this.isConnected && alertElement.isConnected) {
+          this._startTimer();
+        }
+        break;
+      case 'progress':
+        this._countdown.showProgress(this._attr('progress'));
+        break;
+    }
+  }
+
+  /**
+   * Starts the countdown of the timeout attribute from the full timeout.
+   * @private
+   */
+  _startTimer() {
+    this._countdown.start(this._attr('timeout'));
+  }
+
+  /**
+   * Cancels the countdown of the timeout attribute.
+   * @private
+   */
+  _stopTimer() {
+    if (this._countdown) {
+      this._countdown.stop();
+    }
+  }
+
+  /**
+   * Closes the alert when the timeout runs out. The close is marked, so that
+   * it is not remembered as a dismissal, until closed.bs.alert or until a
+   * listener cancels it.
+   * @private
+   */
+  _closeByTimeout() {
+    const alertElement = this._alertElement;
+    let closeEvent = null;
+    const recordClose = (e) => {
+      if (e.target === alertElement) closeEvent = e;
+    };
+
+    // The close event is dispatched synchronously
+    alertElement.addEventListener('close.bs.alert', recordClose);
+    this._timingOut = true;
+    this.close();
+    alertElement.removeEventListener('close.bs.alert', recordClose);
+
+    if (!closeEvent || closeEvent.defaultPrevented) {
+      this._timingOut = false;
     }
   }
 
+  /**
+   * Creates the heading element used for the heading attribute.
+   * @param {string} text
+   * @returns {HTMLHeadingElement}
+   * @private
+   */
+  _createHeading(text) {
+    const h4 = document.createElement('h4');
+    h4.className = 'alert-heading';
+    this._setContent(h4, text);
+    return h4;
+  }
+
+  /**
+   * Creates the close button of a dismissible alert.
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createDismissButton() {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn-close';
+    btn.setAttribute('data-bs-dismiss', 'alert');
+    btn.setAttribute('aria-label', 'Close');
+    return btn;
+  }
+
   /**
    * Closes the alert.
    */
@@ -178,16 +342,181 @@ class BsAlert extends HTMLElement {
    * @private
    */
   _ensureAlert() {
-    if (!this._initialized) {
-      this._render();
-    }
-    if (!this.alert && window.bootstrap && window.bootstrap.Alert) {
+    this._initialize();
+    const Alert = BsCore.plugin('Alert');
+    if (!this.alert && Alert) {
       const alertEl = this.querySelector('.alert');
-      this.alert = new bootstrap.Alert(alertEl);
+      if (!alertEl) return;
+
+      this.alert = new Alert(alertEl);
+    }
+  }
+
+  /**
+   * Stores the dismissal under the dismiss-key attribute, if it is set.
+   * @private
+   */
+  _rememberDismissal() {
+    const key = this._attr('dismiss-key');
+    if (!key) return;
+
+    let expires = null;
+    const dismissFor = this._attr('dismiss-for');
+    if (dismissFor !== null) {
+      // An invalid dismiss-for must not make the dismissal permanent
+      const duration = BsAlert._parseDuration(dismissFor);
+      if (duration === null) return;
+      expires = Date.now() + duration;
+    }
+
+    try {
+      localStorage.setItem(BsAlert.dismissPrefix + key, JSON.stringify({ expires }));
+    } catch (e) {
+      // Storage is full or unavailable; the alert shows again on the next visit
+    }
+  }
+
+  /**
+   * Whether an alert with the given dismiss-key has been dismissed and the
+   * dismissal has not expired. Expired dismissals are removed.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  static isDismissed(key) {
+    if (!key) return false;
+
+    let entry;
+    try {
+      entry = JSON.parse(localStorage.getItem(BsAlert.dismissPrefix + key));
+    } catch (e) {
+      entry = null;
+    }
+    if (!entry || typeof entry !== 'object') return false;
+
+    if (typeof entry.expires === 'number' && entry.expires <= Date.now()) {
+      try {
+        localStorage.removeItem(BsAlert.dismissPrefix + key);
+      } catch (e) {
+        // Nothing to clean up without storage
+      }
+      return false;
     }
+    return true;
+  }
+
+  /**
+   * Forgets the stored dismissals whose dismiss-key starts with the prefix, or
+   * all of them without a prefix. Alerts on the page that were hidden because
+   * of them are shown again.
+   * @param {string} [prefix='']
+   *
+   * @example
+   * BsAlert.resetDismissals('maintenance-');
+   */
+  static resetDismissals(prefix = '') {
+    const storagePrefix = BsAlert.dismissPrefix + prefix;
+    try {
+      for (let i = localStorage.length - 1; i >= 0; i--) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(storagePrefix)) {
+          localStorage.removeItem(key);
+        }
+      }
+    } catch (e) {
+      // Nothing is stored without storage
+    }
+
+    document.querySelectorAll('bs-alert[dismiss-key]').forEach(alert => {
+      if (!alert._dismissed || !alert._attr('dismiss-key').startsWith(prefix)) return;
+      alert._dismissed = false;
+      alert.style.display = 'block';
+      alert._startTimer();
+    });
+  }
+
+  /**
+   * Converts a duration like '7d' to milliseconds.
+   * @param {string} value - A number with an optional unit: ms, s, m, h, d or w.
+   * @returns {number|null} Null if the value is not a duration.
+   * @private
+   */
+  static _parseDuration(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?\s*$/i.exec(value);
+    if (!match) return null;
+
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    return parseFloat(match[1]) * units[(match[2] || 'ms').toLowerCase()];
+  }
+
+  /**
+   * Creates an alert and adds it to a container. The alert is removed from the
+   * document once it has been closed.
+   *
+   * @param {HTMLElement|string} container - The element or a selector.
+   * @param {Object} [options]
+   * @param {string} [options.variant='primary'] - The contextual variant, e.g. 'danger'.
+   * @param {string} [options.heading] - The heading text.
+   * @param {string|Node} [options.body] - The message (plain text) or a node to place in the body.
+   * @param {boolean} [options.dismissible=true] - Whether the alert has a close button.
+   * @param {number} [options.timeout] - Closes the alert after this many milliseconds.
+   * @param {boolean} [options.progress=false] - Whether to show a countdown bar for the timeout.
+   * @param {'prepend'|'append'|'replace'} [options.position='append'] - Where to add the alert:
+   *   as the first or last child of the container, or in place of everything in it, e.g. an error
+   *   message rendered by the server or the previous alert.
+   * @returns {BsAlert|null} The alert element, or null if the container does not exist.
+   *
+   * @example
+   * BsAlert.show('#form-errors', { variant: 'danger', heading: 'Could not save', body: error.message, position: 'replace' });
+   */
+  static show(container, options = {}) {
+    const parent = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!parent) return null;
+
+    const {
+      variant = 'primary',
+      heading,
+      body,
+      dismissible = true,
+      timeout,
+      progress = false,
+      position = 'append'
+    } = options;
+
+    const host = document.createElement('bs-alert');
+    host.setAttribute('variant', variant);
+    host.toggleAttribute('dismissible', dismissible);
+    host.setAttribute('fade', '');
+    if (heading) host.setAttribute('heading', heading);
+    if (timeout) host.setAttribute('timeout', timeout);
+    host.toggleAttribute('progress', progress);
+
+    if (body instanceof Node) {
+      host.appendChild(body);
+    } else if (body !== undefined && body !== null) {
+      host.textContent = String(body);
+    }
+
+    if (position === 'replace') {
+      parent.replaceChildren(host);
+    } else if (position === 'prepend') {
+      parent.prepend(host);
+    } else {
+      parent.appendChild(host);
+    }
+
+    // The closed event fires on the alert after it has been detached, so it does not reach the host
+    host._initialize();
+    host._alertElement.addEventListener('closed.bs.alert', () => host.remove());
+    return host;
   }
 }
 
+/**
+ * The prefix of the localStorage keys of the dismissals (see dismiss-key).
+ * @type {string}
+ */
+BsAlert.dismissPrefix = 'bs-alert-dismissed:';
+
 // Define the custom element
 if (!customElements.get('bs-alert')) {
   customElements.define('bs-alert', BsAlert);
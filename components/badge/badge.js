@@ -15,24 +15,13 @@
  * @example
  * <bs-badge variant="primary" pill text="New"></bs-badge>
  */
-class BsBadge extends HTMLElement {
-  constructor() {
-    super();
-    /** @type {boolean} */
-    this._initialized = false;
-  }
-
-  /**
-   * Called when the element is added to the document.
-   * Schedules the initial render.
-   */
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+class BsBadge extends BsElement {
+  static get attributes() {
+    return {
+      variant: { type: String, default: 'secondary' },
+      pill: { type: Boolean },
+      text: { type: String }
+    };
   }
 
   /**
@@ -40,28 +29,21 @@ class BsBadge extends HTMLElement {
    * @private
    */
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const variantAttr = this.getAttribute('variant') || 'secondary';
-    const pill = this.hasAttribute('pill');
-    const textAttr = this.getAttribute('text');
+    const textAttr = this._attr('text');
 
     const badgeElement = document.createElement('span');
-    badgeElement.className = `badge text-bg-${variantAttr}`;
+    badgeElement.className = `badge text-bg-${this._attr('variant')}`;
 
-    if (pill) {
+    if (this._attr('pill')) {
       badgeElement.classList.add('rounded-pill');
     }
 
     // Pass through classes from the host element to the underlying span
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      badgeElement.className += ` ${hostClasses}`;
-    }
+    this._passClasses(badgeElement);
 
     // If text attribute is provided and there are no children, use it
-    if (textAttr && this.childNodes.length === 0) {
+    this._usesText = this.childNodes.length === 0;
+    if (textAttr && this._usesText) {
       badgeElement.textContent = textAttr;
     } else {
         // Move children to the badge element
@@ -70,8 +52,32 @@ class BsBadge extends HTMLElement {
         }
     }
     
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(badgeElement);
+    this._badge = badgeElement;
+  }
+
+  /**
+   * Updates the badge after an attribute change.
+   * @param {string} name
+   * @param {string|null} oldValue
+   * @private
+   */
+  _update(name, oldValue) {
+    switch (name) {
+      case 'variant':
+        this._replaceClass(this._badge, `text-bg-${this._attr('variant', oldValue)}`, `text-bg-${this._attr('variant')}`);
+        break;
+      case 'pill':
+        this._badge.classList.toggle('rounded-pill', this._attr('pill'));
+        break;
+      case 'text':
+        // Child content takes precedence over the attribute
+        if (this._usesText) {
+          this._badge.textContent = this._attr('text') || '';
+        }
+        break;
+    }
   }
 }
 
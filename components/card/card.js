@@ -8,6 +8,7 @@
  *
  * @attr {string} title - The title of the card.
  * @attr {string} subtitle - The subtitle of the card.
+ * @attr {boolean} html - If present, the title and subtitle are rendered as sanitized HTML (see `BsCore.sanitizer`).
  * @attr {string} img-top - URL for the image at the top of the card.
  * @attr {string} img-bottom - URL for the image at the bottom of the card.
  * @attr {string} img-alt - Alt text for the images.
@@ -28,24 +29,18 @@
  *   Some quick example text to build on the card title and make up the bulk of the card's content.
  * </bs-card>
  */
-class BsCard extends HTMLElement {
-  constructor() {
-    super();
-    /** @type {boolean} */
-    this._initialized = false;
-  }
-
-  /**
-   * Called when the element is added to the document.
-   * Schedules the initial render.
-   */
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+class BsCard extends BsElement {
+  static get attributes() {
+    return {
+      title: { type: String },
+      subtitle: { type: String },
+      'img-top': { type: String },
+      'img-bottom': { type: String },
+      'img-alt': { type: String, default: '' },
+      'text-bg': { type: String },
+      border: { type: String },
+      html: { type: Boolean }
+    };
   }
 
   /**
@@ -53,28 +48,18 @@ class BsCard extends HTMLElement {
    * @private
    */
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const titleAttr = this.getAttribute('title');
-    const subtitleAttr = this.getAttribute('subtitle');
-    const imgTopAttr = this.getAttribute('img-top');
-    const imgBottomAttr = this.getAttribute('img-bottom');
-    const imgAltAttr = this.getAttribute('img-alt') || '';
-    const textBgAttr = this.getAttribute('text-bg');
-    const borderAttr = this.getAttribute('border');
+    const textBgAttr = this._attr('text-bg');
+    const borderAttr = this._attr('border');
     const noBody = this.hasAttribute('no-body');
 
     this.style.display = 'block';
 
     const cardElement = document.createElement('div');
     cardElement.className = 'card';
+    this._cardElement = cardElement;
     
     // Pass through classes from the host element to the underlying div
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      cardElement.className += ` ${hostClasses}`;
-    }
+    this._passClasses(cardElement);
 
     if (textBgAttr) {
       cardElement.classList.add(`text-bg-${textBgAttr}`);
@@ -89,58 +74,30 @@ class BsCard extends HTMLElement {
       fragment.appendChild(this.firstChild);
     }
 
-    cardElement.innerHTML = `
-      <div class="card-img-top-container"></div>
-      <div class="card-header-container"></div>
-      <div class="card-body-container"></div>
-      <div class="card-footer-container"></div>
-      <div class="card-img-bottom-container"></div>
-    `;
+    // Keep references, since empty containers are removed from the card
+    this._containers = ['img-top', 'header', 'body', 'footer', 'img-bottom'].map(part => {
+      const container = document.createElement('div');
+      container.className = `card-${part}-container`;
+      cardElement.appendChild(container);
+      return container;
+    });
 
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(cardElement);
 
-    const imgTopContainer = cardElement.querySelector('.card-img-top-container');
-    const headerContainer = cardElement.querySelector('.card-header-container');
-    const bodyContainer = cardElement.querySelector('.card-body-container');
-    const footerContainer = cardElement.querySelector('.card-footer-container');
-    const imgBottomContainer = cardElement.querySelector('.card-img-bottom-container');
+    const [imgTopContainer, headerContainer, bodyContainer, footerContainer, imgBottomContainer] = this._containers;
 
     // Create the body structure if not no-body
     let actualBody = bodyContainer;
     if (!noBody) {
-      bodyContainer.innerHTML = `<div class="card-body"></div>`;
-      actualBody = bodyContainer.querySelector('.card-body');
-      
-      if (titleAttr) {
-        const h5 = document.createElement('h5');
-        h5.className = 'card-title';
-        h5.textContent = titleAttr;
-        actualBody.appendChild(h5);
-      }
-      if (subtitleAttr) {
-        const h6 = document.createElement('h6');
-        h6.className = 'card-subtitle mb-2 text-body-secondary';
-        h6.textContent = subtitleAttr;
-        actualBody.appendChild(h6);
-      }
+      actualBody = this._createPart(bodyContainer, 'card-body');
+      this._body = actualBody;
+      this._updateTitles();
     }
 
     // Initial image setup from attributes
-    if (imgTopAttr) {
-      const img = document.createElement('img');
-      img.src = imgTopAttr;
-      img.className = 'card-img-top';
-      img.alt = imgAltAttr;
-      imgTopContainer.appendChild(img);
-    }
-    if (imgBottomAttr) {
-      const img = document.createElement('img');
-      img.src = imgBottomAttr;
-      img.className = 'card-img-bottom';
-      img.alt = imgAltAttr;
-      imgBottomContainer.appendChild(img);
-    }
+    this._slotted = new Set();
+    this._updateImages();
 
     // Distribute children to their respective slots
     Array.from(fragment.childNodes).forEach(child => {
@@ -148,32 +105,28 @@ class BsCard extends HTMLElement {
         const slot = child.getAttribute('slot');
         switch (slot) {
           case 'header':
-            if (headerContainer.innerHTML === '') {
-              headerContainer.innerHTML = '<div class="card-header"></div>';
-            }
-            headerContainer.querySelector('.card-header').appendChild(child);
+            (headerContainer.firstElementChild || this._createPart(headerContainer, 'card-header')).appendChild(child);
             break;
           case 'footer':
-            if (footerContainer.innerHTML === '') {
-              footerContainer.innerHTML = '<div class="card-footer"></div>';
-            }
-            footerContainer.querySelector('.card-footer').appendChild(child);
+            (footerContainer.firstElementChild || this._createPart(footerContainer, 'card-footer')).appendChild(child);
             break;
           case 'image-top':
-            imgTopContainer.innerHTML = ''; // Override attribute
+            imgTopContainer.textContent = ''; // Override attribute
             child.classList.add('card-img-top');
             imgTopContainer.appendChild(child);
+            this._slotted.add(slot);
             break;
           case 'image-bottom':
-            imgBottomContainer.innerHTML = ''; // Override attribute
+            imgBottomContainer.textContent = ''; // Override attribute
             child.classList.add('card-img-bottom');
             imgBottomContainer.appendChild(child);
+            this._slotted.add(slot);
             break;
           case 'title':
             if (!noBody) {
               const titleEl = actualBody.querySelector('.card-title');
               if (titleEl) {
-                titleEl.innerHTML = '';
+                titleEl.textContent = '';
                 titleEl.appendChild(child);
               } else {
                 const h5 = document.createElement('h5');
@@ -182,6 +135,7 @@ class BsCard extends HTMLElement {
                 // Prepend or insert at start of body
                 actualBody.insertBefore(h5, actualBody.firstChild);
               }
+              this._slotted.add(slot);
             } else {
               actualBody.appendChild(child);
             }
@@ -190,7 +144,7 @@ class BsCard extends HTMLElement {
             if (!noBody) {
               const subtitleEl = actualBody.querySelector('.card-subtitle');
               if (subtitleEl) {
-                subtitleEl.innerHTML = '';
+                subtitleEl.textContent = '';
                 subtitleEl.appendChild(child);
               } else {
                 const h6 = document.createElement('h6');
@@ -204,6 +158,7 @@ class BsCard extends HTMLElement {
                   actualBody.insertBefore(h6, actualBody.firstChild);
                 }
               }
+              this._slotted.add(slot);
             } else {
               actualBody.appendChild(child);
             }
@@ -218,22 +173,140 @@ class BsCard extends HTMLElement {
       }
     });
 
-    // Cleanup empty containers
-    [headerContainer, imgTopContainer, imgBottomContainer, footerContainer].forEach(container => {
-      if (container.childNodes.length === 0) {
-        container.remove();
+    this._placeContainers();
+  }
+
+  /**
+   * Updates the rendered card after an attribute change.
+   * @param {string} name
+   * @param {string|null} oldValue
+   * @private
+   */
+  _update(name, oldValue) {
+    switch (name) {
+      case 'text-bg':
+      case 'border': {
+        const prefix = name === 'text-bg' ? 'text-bg' : 'border';
+        const oldVariant = this._attr(name, oldValue);
+        const variant = this._attr(name);
+        this._replaceClass(this._cardElement, oldVariant && `${prefix}-${oldVariant}`, variant && `${prefix}-${variant}`);
+        break;
       }
-    });
-    
-    // If no-body and body container is empty, remove it too
-    if (noBody && bodyContainer.childNodes.length === 0) {
-      bodyContainer.remove();
-    } else if (!noBody) {
-        // If we have an actual body, check if it's empty (though it might have title/subtitle)
-        if (actualBody.childNodes.length === 0) {
-            bodyContainer.remove();
+      case 'title':
+      case 'subtitle':
+      case 'html':
+        // Without a card body, the attributes are not rendered at all
+        if (!this._body) break;
+        this._updateTitles();
+        this._placeContainers();
+        break;
+      case 'img-top':
+      case 'img-bottom':
+      case 'img-alt':
+        this._updateImages();
+        this._placeContainers();
+        break;
+    }
+  }
+
+  /**
+   * Appends a div with the given class to a container.
+   * @param {HTMLElement} container
+   * @param {string} className
+   * @returns {HTMLElement} The new div.
+   * @private
+   */
+  _createPart(container, className) {
+    const part = document.createElement('div');
+    part.className = className;
+    container.appendChild(part);
+    return part;
+  }
+
+  /**
+   * Creates, updates or removes the title and subtitle in the card body.
+   * Slotted titles are left alone.
+   * @private
+   */
+  _updateTitles() {
+    const body = this._body;
+    const titleAttr = this._attr('title');
+    const subtitleAttr = this._attr('subtitle');
+
+    if (!this._slotted || !this._slotted.has('title')) {
+      let titleEl = body.querySelector(':scope > .card-title');
+      if (titleAttr) {
+        if (!titleEl) {
+          titleEl = document.createElement('h5');
+          titleEl.className = 'card-title';
+          body.insertBefore(titleEl, body.firstChild);
         }
+        this._setContent(titleEl, titleAttr);
+      } else if (titleEl) {
+        titleEl.remove();
+      }
     }
+
+    if (!this._slotted || !this._slotted.has('subtitle')) {
+      let subtitleEl = body.querySelector(':scope > .card-subtitle');
+      if (subtitleAttr) {
+        if (!subtitleEl) {
+          subtitleEl = document.createElement('h6');
+          subtitleEl.className = 'card-subtitle mb-2 text-body-secondary';
+          const titleEl = body.querySelector(':scope > .card-title');
+          if (titleEl) {
+            titleEl.after(subtitleEl);
+          } else {
+            body.insertBefore(subtitleEl, body.firstChild);
+          }
+        }
+        this._setContent(subtitleEl, subtitleAttr);
+      } else if (subtitleEl) {
+        subtitleEl.remove();
+      }
+    }
+  }
+
+  /**
+   * Creates, updates or removes the top and bottom images. Slotted images are left alone.
+   * @private
+   */
+  _updateImages() {
+    const [imgTopContainer, , , , imgBottomContainer] = this._containers;
+
+    [['img-top', 'image-top', imgTopContainer], ['img-bottom', 'image-bottom', imgBottomContainer]].forEach(([attr, slot, container]) => {
+      if (this._slotted.has(slot)) return;
+
+      const src = this._attr(attr);
+      let img = container.querySelector('img');
+      if (!src) {
+        if (img) img.remove();
+        return;
+      }
+      if (!img) {
+        img = document.createElement('img');
+        img.className = `card-${attr}`;
+        container.appendChild(img);
+      }
+      img.src = src;
+      img.alt = this._attr('img-alt');
+    });
+  }
+
+  /**
+   * Puts the non-empty containers into the card in order and removes the empty ones.
+   * @private
+   */
+  _placeContainers() {
+    this._containers.forEach(container => {
+      // The body container holds .card-body, which may only hold a title
+      const content = container === this._containers[2] && this._body ? this._body : container;
+      if (content.childNodes.length === 0) {
+        container.remove();
+      } else {
+        this._cardElement.appendChild(container);
+      }
+    });
   }
 }
 
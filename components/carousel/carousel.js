@@ -19,66 +19,63 @@
  *
  * @slot - Default slot for `<bs-carousel-item>` elements.
  */
-class BsCarousel extends HTMLElement {
+class BsCarousel extends BsElement {
+  static get attributes() {
+    return {
+      indicators: { type: Boolean },
+      controls: { type: Boolean },
+      fade: { type: Boolean },
+      dark: { type: Boolean },
+      ride: { type: String },
+      interval: { type: Number },
+      keyboard: { type: Boolean, default: true },
+      pause: { type: String },
+      touch: { type: Boolean, default: true },
+      wrap: { type: Boolean, default: true }
+    };
+  }
+
   constructor() {
     super();
     this.carousel = null;
-    this._initialized = false;
   }
 
   connectedCallback() {
-    if (this._initialized) return;
-
-    this.style.display = 'block';
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+    if (!this._initialized) {
+      this.style.display = 'block';
+    }
+    super.connectedCallback();
   }
 
-  disconnectedCallback() {
+  _disconnect() {
     if (this.carousel) {
       this.carousel.dispose();
       this.carousel = null;
     }
   }
 
-  _render() {
-    if (this._initialized) return;
-    this._initialized = true;
+  _reconnect() {
+    this._createCarousel();
+  }
 
+  _render() {
     // Ensure the element has an ID for controls and indicators
     if (!this.id) {
       this.id = `carousel-${Math.random().toString(36).substr(2, 9)}`;
     }
     const carouselId = `${this.id}-inner`;
 
-    const showIndicators = this.hasAttribute('indicators');
-    const showControls = this.hasAttribute('controls');
-    const isFade = this.hasAttribute('fade');
-    const isDark = this.hasAttribute('dark');
-    
-    const ride = this.getAttribute('ride');
-    const interval = this.getAttribute('interval');
-    const keyboard = this.getAttribute('keyboard');
-    const pause = this.getAttribute('pause');
-    const touch = this.getAttribute('touch');
-    const wrap = this.getAttribute('wrap');
-
     this.style.display = 'block';
 
     const carouselElement = document.createElement('div');
     carouselElement.id = carouselId;
     carouselElement.className = 'carousel slide';
-    if (isFade) carouselElement.classList.add('carousel-fade');
-    if (isDark) carouselElement.classList.add('carousel-dark');
+    if (this._attr('fade')) carouselElement.classList.add('carousel-fade');
+    if (this._attr('dark')) carouselElement.classList.add('carousel-dark');
+    this._carouselElement = carouselElement;
 
     // Pass through classes from the host element to the underlying div
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      carouselElement.className += ` ${hostClasses}`;
-    }
+    this._passClasses(carouselElement);
 
     // Capture children
     const fragment = document.createDocumentFragment();
@@ -87,77 +84,175 @@ class BsCarousel extends HTMLElement {
     }
 
     // Prepare structure
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(carouselElement);
 
-    carouselElement.innerHTML = `
-      <div class="carousel-indicators"></div>
-      <div class="carousel-inner"></div>
-      <button class="carousel-control-prev" type="button" data-bs-target="#${carouselId}" data-bs-slide="prev">
-        <span class="carousel-control-prev-icon" aria-hidden="true"></span>
-        <span class="visually-hidden">Previous</span>
-      </button>
-      <button class="carousel-control-next" type="button" data-bs-target="#${carouselId}" data-bs-slide="next">
-        <span class="carousel-control-next-icon" aria-hidden="true"></span>
-        <span class="visually-hidden">Next</span>
-      </button>
-    `;
-
-    const indicatorsContainer = carouselElement.querySelector('.carousel-indicators');
-    const innerContainer = carouselElement.querySelector('.carousel-inner');
-    const prevControl = carouselElement.querySelector('.carousel-control-prev');
-    const nextControl = carouselElement.querySelector('.carousel-control-next');
-
-    // Distribute items and count them for indicators
+    const innerContainer = document.createElement('div');
+    innerContainer.className = 'carousel-inner';
+    carouselElement.appendChild(innerContainer);
+
+    // Distribute items
     const items = Array.from(fragment.childNodes).filter(node => 
       node.nodeType === Node.ELEMENT_NODE && (node.localName === 'bs-carousel-item' || node.classList.contains('carousel-item'))
     );
 
-    items.forEach((item, index) => {
+    items.forEach(item => {
       let actualItem = item;
       if (item.localName === 'bs-carousel-item') {
         actualItem = item.querySelector('.carousel-item') || item;
       }
       innerContainer.appendChild(actualItem);
-      
-      if (showIndicators) {
-        const isActive = actualItem.hasAttribute('active') || actualItem.classList.contains('active');
-        const btn = document.createElement('button');
-        btn.type = 'button';
-        btn.setAttribute('data-bs-target', `#${carouselId}`);
-        btn.setAttribute('data-bs-slide-to', index);
-        btn.setAttribute('aria-label', `Slide ${index + 1}`);
-        if (isActive) {
-          btn.classList.add('active');
-          btn.setAttribute('aria-current', 'true');
-        }
-        indicatorsContainer.appendChild(btn);
-      }
     });
 
-    if (!showIndicators || items.length === 0) {
-      indicatorsContainer.remove();
-    }
+    this._renderIndicators();
+    this._renderControls();
 
-    if (!showControls || items.length === 0) {
-      prevControl.remove();
-      nextControl.remove();
-    }
+    this._createCarousel();
+  }
 
-    // Initialize Bootstrap Carousel if available
-    if (window.bootstrap && window.bootstrap.Carousel) {
-      const options = {};
-      if (interval !== null) options.interval = parseInt(interval);
-      if (keyboard !== null) options.keyboard = keyboard !== 'false';
-      if (pause !== null) options.pause = pause === 'false' ? false : pause;
-      if (ride !== null) options.ride = ride === 'true' ? true : ride;
-      if (touch !== null) options.touch = touch !== 'false';
-      if (wrap !== null) options.wrap = wrap !== 'false';
-
-      this.carousel = new bootstrap.Carousel(carouselElement, options);
+  /**
+   * Creates the Bootstrap carousel once it is available (there is no built-in fallback).
+   * Passing ride here lets Bootstrap start cycling even when it loads late.
+   * @private
+   */
+  _createCarousel() {
+    BsCore.whenPlugin('Carousel', () => {
+      if (this.carousel || !this.isConnected) return;
+      this._ensureCarousel();
+    });
+  }
+
+  /**
+   * Updates the rendered carousel after an attribute change.
+   * @param {string} name
+   * @private
+   */
+  _update(name) {
+    switch (name) {
+      case 'indicators':
+        this._renderIndicators();
+        break;
+      case 'controls':
+        this._renderControls();
+        break;
+      case 'fade':
+        this._carouselElement.classList.toggle('carousel-fade', this._attr('fade'));
+        break;
+      case 'dark':
+        this._carouselElement.classList.toggle('carousel-dark', this._attr('dark'));
+        break;
+      default:
+        this._refreshCarousel();
+        break;
     }
   }
 
+  /**
+   * Recreates the plugin instance. Bootstrap reads the options and looks up
+   * the indicators only when the instance is created.
+   * @private
+   */
+  _refreshCarousel() {
+    if (!this.carousel) return;
+    this.carousel.dispose();
+    this.carousel = null;
+    this._ensureCarousel();
+  }
+
+  /**
+   * Returns the plugin options set through attributes.
+   * @returns {Object}
+   * @private
+   */
+  _options() {
+    const options = {};
+    const ride = this._attr('ride');
+    const pause = this._attr('pause');
+
+    if (this.hasAttribute('interval')) options.interval = this._attr('interval');
+    if (this.hasAttribute('keyboard')) options.keyboard = this._attr('keyboard');
+    if (pause !== null) options.pause = pause === 'false' ? false : pause;
+    if (ride !== null) options.ride = ride === 'true' ? true : ride;
+    if (this.hasAttribute('touch')) options.touch = this._attr('touch');
+    if (this.hasAttribute('wrap')) options.wrap = this._attr('wrap');
+    return options;
+  }
+
+  /**
+   * Returns the slide elements (which may not have rendered yet).
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _items() {
+    return Array.from(this._carouselElement.querySelector('.carousel-inner').children);
+  }
+
+  /**
+   * Creates or removes the slide indicators.
+   * @private
+   */
+  _renderIndicators() {
+    const carouselElement = this._carouselElement;
+    const existing = carouselElement.querySelector(':scope > .carousel-indicators');
+    if (existing) existing.remove();
+
+    const items = this._items();
+    if (!this._attr('indicators') || items.length === 0) return;
+
+    const indicatorsContainer = document.createElement('div');
+    indicatorsContainer.className = 'carousel-indicators';
+
+    items.forEach((item, index) => {
+      const isActive = item.hasAttribute('active') || item.classList.contains('active');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.setAttribute('data-bs-target', `#${carouselElement.id}`);
+      btn.setAttribute('data-bs-slide-to', index);
+      btn.setAttribute('aria-label', `Slide ${index + 1}`);
+      if (isActive) {
+        btn.classList.add('active');
+        btn.setAttribute('aria-current', 'true');
+      }
+      indicatorsContainer.appendChild(btn);
+    });
+
+    carouselElement.insertBefore(indicatorsContainer, carouselElement.firstChild);
+
+    this._refreshCarousel();
+  }
+
+  /**
+   * Creates or removes the previous/next controls.
+   * @private
+   */
+  _renderControls() {
+    const carouselElement = this._carouselElement;
+    carouselElement.querySelectorAll(':scope > .carousel-control-prev, :scope > .carousel-control-next').forEach(control => {
+      control.remove();
+    });
+
+    if (!this._attr('controls') || this._items().length === 0) return;
+
+    [['prev', 'Previous'], ['next', 'Next']].forEach(([direction, label]) => {
+      const button = document.createElement('button');
+      button.className = `carousel-control-${direction}`;
+      button.type = 'button';
+      button.setAttribute('data-bs-target', `#${carouselElement.id}`);
+      button.setAttribute('data-bs-slide', direction);
+
+      const icon = document.createElement('span');
+      icon.className = `carousel-control-${direction}-icon`;
+      icon.setAttribute('aria-hidden', 'true');
+      const text = document.createElement('span');
+      text.className = 'visually-hidden';
+      text.textContent = label;
+
+      button.appendChild(icon);
+      button.appendChild(text);
+      carouselElement.appendChild(button);
+    });
+  }
+
   /**
    * Starts cycling through the carousel items.
    */
@@ -195,10 +290,11 @@ class BsCarousel extends HTMLElement {
   }
 
   _ensureCarousel() {
-    if (!this._initialized) this._render();
-    if (!this.carousel && window.bootstrap && window.bootstrap.Carousel) {
+    this._initialize();
+    const Carousel = BsCore.plugin('Carousel');
+    if (!this.carousel && Carousel) {
       const carouselEl = this.querySelector('.carousel');
-      this.carousel = bootstrap.Carousel.getOrCreateInstance(carouselEl);
+      this.carousel = Carousel.getOrCreateInstance(carouselEl, this._options());
     }
     return !!this.carousel;
   }
@@ -215,33 +311,25 @@ class BsCarousel extends HTMLElement {
  * @attribute {string} [alt=''] - Alt text for the image.
  * @attribute {string} [caption-title] - Title for the caption.
  * @attribute {string} [caption-text] - Text for the caption.
+ * @attribute {boolean} [html] - If present, the caption title and text are rendered as sanitized HTML (see `BsCore.sanitizer`).
  *
  * @slot caption - Custom content for the carousel caption (overrides caption-title and caption-text).
  * @slot - Default slot for content to be placed inside the carousel item (instead of img if img is not provided).
  */
-class BsCarouselItem extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-    
-    setTimeout(() => {
-      this._render();
-    }, 0);
+class BsCarouselItem extends BsElement {
+  static get attributes() {
+    return {
+      interval: { type: String },
+      img: { type: String },
+      alt: { type: String, default: '' },
+      'caption-title': { type: String },
+      'caption-text': { type: String },
+      html: { type: Boolean }
+    };
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const imgAttr = this.getAttribute('img');
-    const altAttr = this.getAttribute('alt') || '';
-    const intervalAttr = this.getAttribute('interval');
-    const captionTitleAttr = this.getAttribute('caption-title');
-    const captionTextAttr = this.getAttribute('caption-text');
+    const intervalAttr = this._attr('interval');
     const active = this.hasAttribute('active');
 
     this.classList.add('carousel-item');
@@ -257,50 +345,31 @@ class BsCarouselItem extends HTMLElement {
       fragment.appendChild(this.firstChild);
     }
 
-    this.innerHTML = `
-      <div class="carousel-item-content"></div>
-      <div class="carousel-caption d-none d-md-block"></div>
-    `;
-
-    const contentContainer = this.querySelector('.carousel-item-content');
-    const captionContainer = this.querySelector('.carousel-caption');
-
-    if (imgAttr) {
-      const img = document.createElement('img');
-      img.src = imgAttr;
-      img.alt = altAttr;
-      img.className = 'd-block w-100';
-      contentContainer.appendChild(img);
-    }
+    const contentContainer = document.createElement('div');
+    contentContainer.className = 'carousel-item-content';
+    const captionContainer = document.createElement('div');
+    captionContainer.className = 'carousel-caption d-none d-md-block';
+    this.appendChild(contentContainer);
+    this.appendChild(captionContainer);
+    this._captionElement = captionContainer;
 
-    // Handle caption
-    let hasCaption = false;
-    if (captionTitleAttr) {
-      const h5 = document.createElement('h5');
-      h5.textContent = captionTitleAttr;
-      captionContainer.appendChild(h5);
-      hasCaption = true;
-    }
-    if (captionTextAttr) {
-      const p = document.createElement('p');
-      p.textContent = captionTextAttr;
-      captionContainer.appendChild(p);
-      hasCaption = true;
-    }
+    this._updateImage(contentContainer);
+    this._updateCaption();
 
     // Distribute children
+    this._captionSlotted = false;
     Array.from(fragment.childNodes).forEach(child => {
       if (child.nodeType === Node.ELEMENT_NODE && child.getAttribute('slot') === 'caption') {
-        captionContainer.innerHTML = ''; // Override attributes
+        captionContainer.textContent = ''; // Override attributes
         captionContainer.appendChild(child);
-        hasCaption = true;
+        this._captionSlotted = true;
       } else {
         // If it's not a caption slot, it goes to content (maybe instead of img)
         contentContainer.appendChild(child);
       }
     });
 
-    if (!hasCaption) {
+    if (!captionContainer.hasChildNodes()) {
       captionContainer.remove();
     }
     
@@ -310,6 +379,88 @@ class BsCarouselItem extends HTMLElement {
     }
     contentContainer.remove();
   }
+
+  /**
+   * Updates the rendered item after an attribute change.
+   * @param {string} name
+   * @private
+   */
+  _update(name) {
+    switch (name) {
+      case 'interval': {
+        const intervalAttr = this._attr('interval');
+        if (intervalAttr) {
+          this.setAttribute('data-bs-interval', intervalAttr);
+        } else {
+          this.removeAttribute('data-bs-interval');
+        }
+        break;
+      }
+      case 'img':
+      case 'alt':
+        this._updateImage(this);
+        break;
+      case 'caption-title':
+      case 'caption-text':
+      case 'html':
+        // A caption slot takes precedence over the attributes
+        if (this._captionSlotted) break;
+        this._updateCaption();
+        if (this._captionElement.hasChildNodes()) {
+          this.appendChild(this._captionElement);
+        } else {
+          this._captionElement.remove();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Creates, updates or removes the image for the img and alt attributes.
+   * @param {HTMLElement} container - Where a new image is inserted.
+   * @private
+   */
+  _updateImage(container) {
+    const imgAttr = this._attr('img');
+
+    if (!imgAttr) {
+      if (this._img) {
+        this._img.remove();
+        this._img = null;
+      }
+      return;
+    }
+
+    if (!this._img) {
+      this._img = document.createElement('img');
+      this._img.className = 'd-block w-100';
+      container.insertBefore(this._img, container.firstChild);
+    }
+    this._img.src = imgAttr;
+    this._img.alt = this._attr('alt');
+  }
+
+  /**
+   * Fills the caption from the caption-title and caption-text attributes.
+   * @private
+   */
+  _updateCaption() {
+    const captionContainer = this._captionElement;
+    const captionTitleAttr = this._attr('caption-title');
+    const captionTextAttr = this._attr('caption-text');
+
+    captionContainer.textContent = '';
+    if (captionTitleAttr) {
+      const h5 = document.createElement('h5');
+      this._setContent(h5, captionTitleAttr);
+      captionContainer.appendChild(h5);
+    }
+    if (captionTextAttr) {
+      const p = document.createElement('p');
+      this._setContent(p, captionTextAttr);
+      captionContainer.appendChild(p);
+    }
+  }
 }
 
 // Define custom elements
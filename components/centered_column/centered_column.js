@@ -23,26 +23,8 @@
  *   Centered column with margin top and centered text
  * </centered-column>
  */
-class CenteredColumn extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are fully parsed before rendering.
-    // This is a common pattern for components that manipulate their children.
-    setTimeout(() => {
-      this._render();
-    }, 0);
-  }
-
+class CenteredColumn extends BsElement {
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
     // 1. Identify column classes and other classes from the host element
     const colClasses = [];
     const classList = Array.from(this.classList);
@@ -8,28 +8,17 @@
  *
  * @slot - Default slot for the code to be highlighted.
  */
-class BsCodeBlock extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+class BsCodeBlock extends BsElement {
+  static get attributes() {
+    return {
+      language: { type: String, default: 'html' }
+    };
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
     this._ensureResources();
 
-    const language = this.getAttribute('language') || 'html';
+    const language = this._attr('language');
     const code = this.textContent.trim();
 
     // Use a wrapper div as per guidelines
@@ -37,10 +26,7 @@ class BsCodeBlock extends HTMLElement {
     wrapper.classList.add('position-relative');
     
     // Copy classes from host
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      wrapper.className += ' ' + hostClasses;
-    }
+    this._passClasses(wrapper);
 
     const pre = document.createElement('pre');
     pre.className = 'm-0';
@@ -50,6 +36,7 @@ class BsCodeBlock extends HTMLElement {
     // We use textContent to ensure the code is treated as literal text.
     // The browser has already unescaped any entities in innerHTML.
     codeElem.textContent = code;
+    this._code = codeElem;
 
     pre.appendChild(codeElem);
     wrapper.appendChild(pre);
@@ -57,16 +44,18 @@ class BsCodeBlock extends HTMLElement {
     // Add copy button
     const copyBtn = document.createElement('button');
     copyBtn.className = 'btn btn-sm btn-outline-secondary position-absolute top-0 end-0 m-2';
-    copyBtn.innerHTML = '<i class="bi bi-copy"></i>';
+    const icon = document.createElement('i');
+    icon.className = 'bi bi-copy';
+    copyBtn.appendChild(icon);
     copyBtn.setAttribute('title', 'Copy to clipboard');
     copyBtn.setAttribute('aria-label', 'Copy to clipboard');
     
     copyBtn.addEventListener('click', () => {
       navigator.clipboard.writeText(code).then(() => {
-        copyBtn.innerHTML = '<i class="bi bi-check2"></i>';
+        icon.className = 'bi bi-check2';
         copyBtn.classList.replace('btn-outline-secondary', 'btn-success');
         setTimeout(() => {
-          copyBtn.innerHTML = '<i class="bi bi-copy"></i>';
+          icon.className = 'bi bi-copy';
           copyBtn.classList.replace('btn-success', 'btn-outline-secondary');
         }, 2000);
       });
@@ -74,12 +63,23 @@ class BsCodeBlock extends HTMLElement {
 
     wrapper.appendChild(copyBtn);
 
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(wrapper);
 
     this._highlight(codeElem);
   }
 
+  _update(name) {
+    if (name === 'language') {
+      // highlight.js skips elements it has already highlighted, so start from the plain text again
+      const code = this._code.textContent;
+      this._code.className = `language-${this._attr('language')}`;
+      this._code.removeAttribute('data-highlighted');
+      this._code.textContent = code;
+      this._highlight(this._code);
+    }
+  }
+
   _highlight(element) {
     if (window.hljs) {
       window.hljs.highlightElement(element);
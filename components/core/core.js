@@ -0,0 +1,1403 @@
+/**
+ * Shared runtime for the Bootstrap web components.
+ *
+ * Components look up Bootstrap's JavaScript plugins through `BsCore.plugin()`
+ * instead of reading `window.bootstrap` directly. When the Bootstrap JS bundle
+ * is not loaded, a small built-in fallback is returned for the Modal, Collapse,
+ * Alert and Toast plugins, so pages that only include Bootstrap's CSS keep
+ * working. The fallbacks implement the same public methods and fire the same
+ * `*.bs.*` events as the Bootstrap plugins they replace.
+ *
+ * The Bootstrap bundle is often loaded at the end of the body, after the
+ * components have rendered. `BsCore.whenPlugin()` queues plugin construction
+ * until `window.bootstrap` is assigned. If the page finishes loading without
+ * it, the queue is flushed with the fallbacks instead.
+ *
+ * It also defines `BsElement`, the base class of the components, which
+ * handles deferred rendering and reactive attributes.
+ *
+ * Components never parse attribute values as markup. Text from attributes is
+ * set with `textContent`; components with an `html` attribute pass it through
+ * `BsCore.sanitize()` instead. Markup is only parsed through the
+ * `bs-components` Trusted Types policy, so the components work under a strict
+ * Trusted Types CSP.
+ *
+ * This file must be loaded before any component script.
+ *
+ * @example
+ * <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css" rel="stylesheet">
+ * <script src="components/core/core.js"></script>
+ * <script src="components/modal/modal.js"></script>
+ */
+class BsCore {
+  /**
+   * Returns the constructor of a Bootstrap plugin, or its built-in fallback
+   * once it is certain that the Bootstrap JS bundle is not loaded.
+   * @param {string} name - The plugin name, e.g. 'Modal' or 'Collapse'.
+   * @returns {Function|null} The plugin constructor, or null if it is not (yet) available.
+   */
+  static plugin(name) {
+    if (window.bootstrap && window.bootstrap[name]) {
+      return window.bootstrap[name];
+    }
+    if (BsCore._mode === 'fallback') {
+      return BsCore.fallbacks[name] || null;
+    }
+    return null;
+  }
+
+  /**
+   * Calls the callback with the plugin constructor as soon as it is available:
+   * immediately if Bootstrap is already loaded, when the Bootstrap bundle
+   * executes, or with the built-in fallback once the page has loaded without
+   * Bootstrap. Plugins without a fallback stay queued until Bootstrap arrives.
+   * @param {string} name - The plugin name, e.g. 'Modal' or 'Collapse'.
+   * @param {function(Function): void} callback
+   */
+  static whenPlugin(name, callback) {
+    const Plugin = BsCore.plugin(name);
+    if (Plugin) {
+      callback(Plugin);
+    } else {
+      BsCore._queue.push({ name, callback });
+    }
+  }
+
+  /**
+   * Switches to 'bootstrap' or 'fallback' mode and runs the queued callbacks
+   * whose plugin is now available.
+   * @param {'bootstrap'|'fallback'} mode
+   * @private
+   */
+  static _setMode(mode) {
+    BsCore._mode = mode;
+
+    const queue = BsCore._queue;
+    BsCore._queue = [];
+    queue.forEach(entry => {
+      const Plugin = BsCore.plugin(entry.name);
+      if (!Plugin) {
+        BsCore._queue.push(entry);
+        return;
+      }
+      try {
+        entry.callback(Plugin);
+      } catch (e) {
+        // One broken component must not keep the others from upgrading;
+        // the error is rethrown once they are done
+        setTimeout(() => {
+          throw e;
+        });
+      }
+    });
+  }
+
+  /**
+   * Detects when the Bootstrap bundle assigns `window.bootstrap`, and falls
+   * back to the built-in plugins if that has not happened by the load event.
+   * @private
+   */
+  static _watchBootstrap() {
+    if (window.bootstrap) {
+      BsCore._setMode('bootstrap');
+      return;
+    }
+
+    let value;
+    Object.defineProperty(window, 'bootstrap', {
+      configurable: true,
+      enumerable: true,
+      get: () => value,
+      set: (newValue) => {
+        // Turn back into a plain property, then upgrade the waiting components
+        Object.defineProperty(window, 'bootstrap', {
+          configurable: true,
+          enumerable: true,
+          writable: true,
+          value: newValue
+        });
+        if (newValue) {
+          BsCore._setMode('bootstrap');
+        }
+      }
+    });
+
+    const useFallback = () => {
+      if (!window.bootstrap) {
+        BsCore._setMode('fallback');
+      }
+    };
+    if (document.readyState === 'complete') {
+      useFallback();
+    } else {
+      window.addEventListener('load', useFallback, { once: true });
+    }
+  }
+
+  /**
+   * Whether the Bootstrap JS bundle is loaded.
+   * @returns {boolean}
+   */
+  static hasBootstrap() {
+    return !!window.bootstrap;
+  }
+
+  /**
+   * Whether the built-in fallbacks are in use.
+   * @returns {boolean}
+   */
+  static usesFallback() {
+    return BsCore._mode === 'fallback' && !BsCore.hasBootstrap();
+  }
+
+  /**
+   * Dispatches a Bootstrap-style event (bubbling and cancelable) on an element.
+   * @param {HTMLElement} element
+   * @param {string} type - The full event name, e.g. 'show.bs.modal'.
+   * @param {Object} [props] - Extra properties to set on the event, e.g. relatedTarget.
+   * @returns {Event}
+   */
+  static trigger(element, type, props = {}) {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    Object.keys(props).forEach(key => {
+      Object.defineProperty(event, key, { get: () => props[key] });
+    });
+    element.dispatchEvent(event);
+    return event;
+  }
+
+  /**
+   * Forces a reflow so that following class changes start a CSS transition.
+   * @param {HTMLElement} element
+   */
+  static reflow(element) {
+    // Reading offsetHeight is enough; the value itself is not needed.
+    void element.offsetHeight;
+  }
+
+  /**
+   * Calls the callback once the element's CSS transition has finished, or
+   * immediately if the element has no transition.
+   * @param {HTMLElement} element
+   * @param {Function} callback
+   * @param {boolean} [animate=true] - If false, the callback is called immediately.
+   */
+  static afterTransition(element, callback, animate = true) {
+    if (!animate) {
+      callback();
+      return;
+    }
+
+    const style = window.getComputedStyle(element);
+    const duration = (parseFloat(style.transitionDuration) + parseFloat(style.transitionDelay)) * 1000;
+    if (!duration) {
+      callback();
+      return;
+    }
+
+    let called = false;
+    let timer = null;
+    const done = (e) => {
+      if (called || (e && e.target !== element)) return;
+      called = true;
+      element.removeEventListener('transitionend', done);
+      clearTimeout(timer);
+      callback();
+    };
+
+    element.addEventListener('transitionend', done);
+    // transitionend does not fire if the transition is interrupted
+    timer = setTimeout(() => done(), duration + 5);
+  }
+
+  /**
+   * Resolves the element a trigger points to via data-bs-target or href.
+   * @param {HTMLElement} trigger
+   * @returns {HTMLElement|null}
+   */
+  static getTarget(trigger) {
+    let selector = trigger.getAttribute('data-bs-target');
+    if (!selector || selector === '#') {
+      const href = trigger.getAttribute('href');
+      selector = href && href.startsWith('#') && href !== '#' ? href : null;
+    }
+    if (!selector) return null;
+
+    try {
+      return document.querySelector(selector);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Disposes of a Bootstrap tooltip or popover instance, also while its hide
+   * transition is still running.
+   * @param {bootstrap.Tooltip|bootstrap.Popover} instance
+   */
+  static disposeTip(instance) {
+    instance.dispose();
+
+    // dispose() sets every own property to null, but a pending hide callback
+    // (from _queueCallback) still runs afterwards and would fail on that state.
+    // It returns early while the trigger is active, so that check is overridden
+    // once dispose() is done. Bootstrap 5.3 names the method _isWithActiveTrigger,
+    // earlier versions isWithActiveTrigger.
+    instance.isWithActiveTrigger = () => true;
+    instance._isWithActiveTrigger = () => true;
+  }
+
+  /**
+   * Parses markup into an inert DocumentFragment without sanitizing it.
+   * Only use it for markup you trust, such as a fragment from your own server;
+   * use `sanitize()` for anything that may contain user input.
+   * @param {string} markup
+   * @returns {DocumentFragment}
+   */
+  static parseHTML(markup) {
+    const template = document.createElement('template');
+    template.innerHTML = BsCore._trustedHTML(markup);
+    return template.content;
+  }
+
+  /**
+   * Parses markup and removes every element, attribute and URL that is not
+   * allowed by `BsCore.sanitizer`.
+   * @param {string} markup
+   * @param {Object<string, Array<string|RegExp>>} [allowList] - An allow list to use instead of
+   *   `BsCore.sanitizer.allowList`. A `sanitizeFn` still takes precedence.
+   * @returns {DocumentFragment}
+   */
+  static sanitize(markup, allowList = BsCore.sanitizer.allowList) {
+    const { sanitizeFn } = BsCore.sanitizer;
+    if (typeof sanitizeFn === 'function') {
+      return BsCore.parseHTML(sanitizeFn(String(markup)));
+    }
+
+    const fragment = BsCore.parseHTML(String(markup));
+    Array.from(fragment.querySelectorAll('*')).forEach(element => {
+      const tag = element.nodeName.toLowerCase();
+      if (!Object.keys(allowList).includes(tag)) {
+        element.remove();
+        return;
+      }
+
+      const allowed = [...(allowList['*'] || []), ...(allowList[tag] || [])];
+      Array.from(element.attributes).forEach(attribute => {
+        if (!BsCore._allowedAttribute(attribute, allowed)) {
+          element.removeAttribute(attribute.name);
+        }
+      });
+    });
+    return fragment;
+  }
+
+  /**
+   * Replaces the children of an element with sanitized markup.
+   * @param {HTMLElement} element
+   * @param {string} markup
+   */
+  static setHTML(element, markup) {
+    element.replaceChildren(BsCore.sanitize(markup));
+  }
+
+  /**
+   * Fetches an HTML fragment as text. Error responses reject with their status,
+   * e.g. "404 Not Found". The text is not parsed: use `sanitize()`, or
+   * `parseHTML()` for a trusted URL.
+   * @param {string} url
+   * @returns {Promise<string>}
+   */
+  static fetchHTML(url) {
+    return fetch(url).then(response => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`.trim());
+      }
+      return response.text();
+    });
+  }
+
+  /**
+   * Creates the centered loading indicator shown while content loads.
+   * Falls back to plain Bootstrap markup if `<bs-spinner>` is not loaded.
+   * @param {Object} [options]
+   * @param {boolean} [options.small=false] - A small spinner with less padding, e.g. for tooltips.
+   * @returns {HTMLDivElement}
+   */
+  static createSpinner({ small = false } = {}) {
+    const wrapper = document.createElement('div');
+    wrapper.className = `d-flex justify-content-center ${small ? 'py-1' : 'py-3'}`;
+
+    if (customElements.get('bs-spinner')) {
+      const spinner = document.createElement('bs-spinner');
+      spinner.toggleAttribute('small', small);
+      wrapper.appendChild(spinner);
+    } else {
+      const spinner = document.createElement('div');
+      spinner.className = small ? 'spinner-border spinner-border-sm' : 'spinner-border';
+      spinner.setAttribute('role', 'status');
+      const label = document.createElement('span');
+      label.className = 'visually-hidden';
+      label.textContent = 'Loading...';
+      spinner.appendChild(label);
+      wrapper.appendChild(spinner);
+    }
+    return wrapper;
+  }
+
+  /**
+   * Creates the message shown in place of content that failed to load.
+   * @param {Error} error
+   * @param {Object} [options]
+   * @param {boolean} [options.alert=true] - A danger alert; otherwise plain text, e.g. for tooltips.
+   * @returns {HTMLDivElement}
+   */
+  static createLoadError(error, { alert = true } = {}) {
+    const message = document.createElement('div');
+    if (alert) {
+      message.className = 'alert alert-danger mb-0';
+      message.setAttribute('role', 'alert');
+    }
+    message.textContent = `Failed to load content: ${error && error.message}`;
+    return message;
+  }
+
+  /**
+   * Creates the countdown of an element that closes itself, with an optional
+   * progress bar along its bottom edge. See `BsCountdown`.
+   * @param {HTMLElement} element - The element that pauses the countdown while hovered or focused.
+   * @param {Object} [options]
+   * @param {Function} [options.onDone] - Called when the countdown runs out.
+   * @param {string} [options.progressClass] - Extra classes of the progress bar container.
+   * @param {Object} [options.progressStyle] - Inline styles of the progress bar container.
+   * @param {Object} [options.barStyle] - Inline styles of the progress bar itself.
+   * @returns {BsCountdown}
+   */
+  static countdown(element, options) {
+    return new BsCountdown(element, options);
+  }
+
+  /**
+   * Checks an attribute against the allowed names and patterns of its element.
+   * URL attributes must also have a safe value.
+   * @param {Attr} attribute
+   * @param {Array<string|RegExp>} allowed
+   * @returns {boolean}
+   * @private
+   */
+  static _allowedAttribute(attribute, allowed) {
+    const name = attribute.nodeName.toLowerCase();
+    if (allowed.includes(name)) {
+      if (['href', 'src', 'xlink:href', 'action', 'formaction'].includes(name)) {
+        return /^(?!javascript:)(?:[a-z0-9+.-]+:|[^&:/?#]*(?:[/?#]|$))/i.test(attribute.nodeValue);
+      }
+      return true;
+    }
+    return allowed.some(pattern => pattern instanceof RegExp && pattern.test(name));
+  }
+
+  /**
+   * Wraps markup in a TrustedHTML object when the browser supports Trusted Types,
+   * so parsing works under `require-trusted-types-for 'script'`. The policy is
+   * created on first use; allow it with `trusted-types bs-components`.
+   * @param {string} markup
+   * @returns {string|TrustedHTML}
+   * @private
+   */
+  static _trustedHTML(markup) {
+    if (!window.trustedTypes) return markup;
+    if (!BsCore._policy) {
+      BsCore._policy = window.trustedTypes.createPolicy('bs-components', {
+        createHTML: value => value
+      });
+    }
+    return BsCore._policy.createHTML(markup);
+  }
+
+  /**
+   * Adds the CSS needed by the fallback plugins to the document once.
+   * @private
+   */
+  static _ensureFallbackStyles() {
+    if (document.getElementById('bs-fallback-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'bs-fallback-styles';
+    style.textContent = `
+      dialog.bs-fallback-modal {
+        width: 100%;
+        height: 100%;
+        max-width: 100%;
+        max-height: 100%;
+        margin: 0;
+        padding: 0;
+        border: 0;
+        background: transparent;
+        overflow: visible;
+      }
+      dialog.bs-fallback-modal::backdrop {
+        background-color: rgba(0, 0, 0, 0.5);
+      }
+      dialog.bs-fallback-modal.bs-fallback-no-backdrop::backdrop {
+        background-color: transparent;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Handles Bootstrap's data attributes (data-bs-dismiss, data-bs-toggle) for
+   * the fallback plugins. Does nothing unless the fallbacks are in use, since
+   * Bootstrap registers its own handlers.
+   * @param {MouseEvent} e
+   * @private
+   */
+  static _handleDataApiClick(e) {
+    if (!BsCore.usesFallback() || !(e.target instanceof Element)) return;
+
+    const dismiss = e.target.closest('[data-bs-dismiss]');
+    if (dismiss) {
+      const kind = dismiss.getAttribute('data-bs-dismiss');
+      const Plugin = { modal: BsFallbackModal, alert: BsFallbackAlert, toast: BsFallbackToast }[kind];
+      const element = Plugin && dismiss.closest(`.${kind}`);
+      if (element) {
+        const instance = Plugin.getOrCreateInstance(element);
+        if (kind === 'alert') {
+          instance.close();
+        } else {
+          instance.hide();
+        }
+      }
+      return;
+    }
+
+    const toggle = e.target.closest('[data-bs-toggle="collapse"], [data-bs-toggle="modal"]');
+    if (toggle) {
+      const target = BsCore.getTarget(toggle);
+      if (!target) return;
+      if (toggle.tagName === 'A') {
+        e.preventDefault();
+      }
+
+      if (toggle.getAttribute('data-bs-toggle') === 'modal') {
+        BsFallbackModal.getOrCreateInstance(target).toggle(toggle);
+      } else {
+        BsFallbackCollapse.getOrCreateInstance(target, { toggle: false }).toggle();
+      }
+    }
+  }
+}
+
+/**
+ * Base class of the components.
+ *
+ * Takes care of the lifecycle every component shares: rendering once the
+ * element's children have been parsed, passing host classes through to the
+ * rendered Bootstrap markup, and reacting to attribute changes afterwards.
+ *
+ * Subclasses declare their attributes in `static get attributes()`. These are
+ * observed automatically; `_attr()` reads them with their declared type and
+ * default. Once rendered, every change of a declared attribute is passed to
+ * `_update()`, which patches the rendered markup in place.
+ *
+ * @example
+ * class BsBadge extends BsElement {
+ *   static get attributes() {
+ *     return {
+ *       variant: { type: String, default: 'secondary' },
+ *       pill: { type: Boolean }
+ *     };
+ *   }
+ *
+ *   _render() {
+ *     this._badge = document.createElement('span');
+ *     this._badge.className = `badge text-bg-${this._attr('variant')}`;
+ *     this._passClasses(this._badge);
+ *     this.appendChild(this._badge);
+ *   }
+ *
+ *   _update(name, oldValue) {
+ *     if (name === 'variant') {
+ *       this._replaceClass(this._badge, `text-bg-${this._attr('variant', oldValue)}`, `text-bg-${this._attr('variant')}`);
+ *     }
+ *   }
+ * }
+ */
+class BsElement extends HTMLElement {
+  /**
+   * The attribute schema, mapping attribute names to `{type, default}`.
+   * The type is String (the default), Boolean or Number. Boolean attributes
+   * are true when present, unless their value is 'false'.
+   * @returns {Object<string, {type: (StringConstructor|BooleanConstructor|NumberConstructor), default: *}>}
+   */
+  static get attributes() {
+    return {};
+  }
+
+  static get observedAttributes() {
+    return Object.keys(this.attributes);
+  }
+
+  constructor() {
+    super();
+    /** @type {boolean} */
+    this._initialized = false;
+    /** @type {boolean} */
+    this._disconnected = false;
+  }
+
+  /**
+   * Called when the element is added to the document.
+   * Schedules the initial render, or restores what `_disconnect()` tore down
+   * if the element is being re-added. The markup is never rendered twice.
+   */
+  connectedCallback() {
+    if (this._initialized) {
+      if (this._disconnected) {
+        this._disconnected = false;
+        this._reconnect();
+      }
+      return;
+    }
+
+    // Use a timeout to ensure that child elements are parsed before rendering.
+    setTimeout(() => {
+      this._initialize();
+    }, 0);
+  }
+
+  /**
+   * Called when the element is removed from the document.
+   * Moving an element (appendChild, insertBefore, ...) disconnects and
+   * reconnects it synchronously, so the teardown waits for a microtask and
+   * only runs if the element is still detached by then.
+   */
+  disconnectedCallback() {
+    if (!this._initialized) return;
+
+    queueMicrotask(() => {
+      if (this.isConnected || this._disconnected) return;
+      this._disconnected = true;
+      this._disconnect();
+    });
+  }
+
+  /**
+   * Forwards changes of declared attributes to `_update()` once rendered.
+   * Before that, `_render()` reads the current values itself.
+   * @param {string} name
+   * @param {string|null} oldValue
+   * @param {string|null} newValue
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this._initialized || oldValue === newValue) return;
+    this._update(name, oldValue, newValue);
+  }
+
+  /**
+   * Renders the component unless it has been rendered already. Methods that
+   * need the rendered markup before the deferred render has run call this.
+   * @protected
+   */
+  _initialize() {
+    if (this._initialized) return;
+    this._initialized = true;
+    this._render();
+
+    // Rendered while detached: plugins are created once the element is connected
+    this._disconnected = !this.isConnected;
+  }
+
+  /**
+   * Builds the Bootstrap markup. Called once.
+   * @protected
+   */
+  _render() {}
+
+  /**
+   * Disposes of plugin instances and global listeners after the element has
+   * been removed from the document.
+   * @protected
+   */
+  _disconnect() {}
+
+  /**
+   * Recreates what `_disconnect()` disposed of when the element is added back
+   * to the document. The rendered markup is kept.
+   * @protected
+   */
+  _reconnect() {}
+
+  /**
+   * Updates the rendered markup after a declared attribute has changed.
+   * @param {string} name - The attribute name.
+   * @param {string|null} oldValue - The previous raw value; see `_attr()` to convert it.
+   * @param {string|null} newValue - The new raw value.
+   * @protected
+   */
+  _update(name, oldValue, newValue) {}
+
+  /**
+   * Reads a declared attribute, converted to its type and with its default applied.
+   * @param {string} name
+   * @param {string|null} [value] - A raw value to convert instead of the current one,
+   *   e.g. the old value passed to `_update()`.
+   * @returns {*}
+   * @protected
+   */
+  _attr(name, value = this.getAttribute(name)) {
+    const schema = this.constructor.attributes[name] || {};
+    const hasDefault = schema.default !== undefined;
+
+    if (schema.type === Boolean) {
+      if (value === null) return hasDefault ? schema.default : false;
+      return value !== 'false';
+    }
+    if (schema.type === Number) {
+      const number = parseFloat(value);
+      if (isNaN(number)) return hasDefault ? schema.default : null;
+      return number;
+    }
+    if (value === null || (value === '' && hasDefault)) {
+      return hasDefault ? schema.default : null;
+    }
+    return value;
+  }
+
+  /**
+   * Sets attribute-derived content on an element. The value is plain text
+   * unless the component has the `html` attribute, in which case it is
+   * sanitized markup (see `BsCore.sanitizer`).
+   * @param {HTMLElement} element
+   * @param {string} value
+   * @protected
+   */
+  _setContent(element, value) {
+    if (this._attr('html')) {
+      BsCore.setHTML(element, value);
+    } else {
+      element.textContent = value;
+    }
+  }
+
+  /**
+   * Passes the classes of the host element through to the given element.
+   * @param {HTMLElement} element
+   * @protected
+   */
+  _passClasses(element) {
+    const hostClasses = this.getAttribute('class');
+    if (hostClasses) {
+      element.className = `${element.className} ${hostClasses}`.trim();
+    }
+  }
+
+  /**
+   * Replaces one class with another; either may be empty.
+   * @param {HTMLElement} element
+   * @param {string|null} oldClass
+   * @param {string|null} newClass
+   * @protected
+   */
+  _replaceClass(element, oldClass, newClass) {
+    if (oldClass) element.classList.remove(oldClass);
+    if (newClass) element.classList.add(newClass);
+  }
+}
+
+/**
+ * Counts down the time until an element closes itself, as used by the
+ * timeouts of toasts and alerts. The countdown pauses while the element is
+ * hovered or has focus, and while the page is hidden, and continues with the
+ * time that was left. The progress bar shows the time left.
+ * @private
+ */
+class BsCountdown {
+  constructor(element, { onDone = () => {}, progressClass = '', progressStyle = {}, barStyle = {} } = {}) {
+    this._element = element;
+    this._onDone = onDone;
+    this._progressClass = progressClass;
+    this._progressStyle = progressStyle;
+    this._barStyle = barStyle;
+
+    this._timer = null;
+    this._duration = 0;
+    this._remaining = null;
+    this._deadline = 0;
+    /** @type {Set<string>} Why the countdown is paused: 'hover', 'focus' and/or 'hidden'. */
+    this._pauseReasons = new Set();
+    /** @type {HTMLDivElement|null} */
+    this._progressElement = null;
+    this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
+
+    element.addEventListener('mouseenter', () => this.pause('hover'));
+    element.addEventListener('mouseleave', () => this.resume('hover'));
+    element.addEventListener('focusin', () => this.pause('focus'));
+    element.addEventListener('focusout', (e) => {
+      if (!element.contains(e.relatedTarget)) this.resume('focus');
+    });
+  }
+
+  /** @type {boolean} Whether the countdown is running, i.e. started and not paused. */
+  get running() {
+    return !!this._timer;
+  }
+
+  /**
+   * Starts the countdown from the full duration.
+   * @param {number|null} duration - In milliseconds; without a positive duration the countdown only stops.
+   */
+  start(duration) {
+    this.stop();
+    if (!duration || duration < 0) return;
+
+    this._duration = duration;
+    this._remaining = duration;
+    this._pauseReasons.delete('hidden');
+    if (document.hidden) {
+      this._pauseReasons.add('hidden');
+    }
+    document.addEventListener('visibilitychange', this._handleVisibilityChange);
+
+    if (this._pauseReasons.size) {
+      this._renderProgress(false);
+    } else {
+      this._run();
+    }
+  }
+
+  /**
+   * Cancels the countdown and resets the progress bar.
+   */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._remaining = null;
+    document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+    this._renderProgress(false);
+  }
+
+  /**
+   * Pauses the countdown, keeping the time left.
+   * @param {string} reason - 'hover', 'focus' or 'hidden'.
+   */
+  pause(reason) {
+    this._pauseReasons.add(reason);
+    if (!this._timer) return;
+
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._remaining = Math.max(0, this._deadline - Date.now());
+    this._renderProgress(false);
+  }
+
+  /**
+   * Resumes the countdown once nothing pauses it anymore.
+   * @param {string} reason - 'hover', 'focus' or 'hidden'.
+   */
+  resume(reason) {
+    this._pauseReasons.delete(reason);
+    if (this._pauseReasons.size || this._remaining === null || this._timer) return;
+    this._run();
+  }
+
+  /**
+   * Adds or removes the progress bar along the bottom edge of the element.
+   * @param {boolean} show
+   */
+  showProgress(show) {
+    if (!show) {
+      if (this._progressElement) {
+        this._progressElement.remove();
+        this._progressElement = null;
+      }
+      return;
+    }
+    if (this._progressElement) return;
+
+    const progress = document.createElement('div');
+    progress.className = `${this._progressClass} progress`.trim();
+    progress.style.height = '3px';
+    Object.assign(progress.style, this._progressStyle);
+    progress.setAttribute('aria-hidden', 'true');
+
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar';
+    Object.assign(bar.style, this._barStyle);
+    bar.style.width = '100%';
+    progress.appendChild(bar);
+
+    this._element.appendChild(progress);
+    this._progressElement = progress;
+    this._renderProgress(this.running);
+  }
+
+  /**
+   * Schedules the end for the time left and animates the progress bar.
+   * @private
+   */
+  _run() {
+    this._deadline = Date.now() + this._remaining;
+    this._timer = setTimeout(() => {
+      this.stop();
+      this._onDone();
+    }, this._remaining);
+    this._renderProgress(true);
+  }
+
+  /**
+   * Sets the progress bar to the time left and, if the countdown is running,
+   * lets it shrink to zero over that time.
+   * @param {boolean} running
+   * @private
+   */
+  _renderProgress(running) {
+    if (!this._progressElement) return;
+
+    const bar = this._progressElement.firstChild;
+    const fraction = this._remaining === null ? 1 : this._remaining / this._duration;
+    bar.style.transition = 'none';
+    bar.style.width = `${fraction * 100}%`;
+
+    if (running) {
+      BsCore.reflow(bar);
+      bar.style.transition = `width ${this._remaining}ms linear`;
+      bar.style.width = '0%';
+    }
+  }
+
+  _handleVisibilityChange() {
+    if (document.hidden) {
+      this.pause('hidden');
+    } else {
+      this.resume('hidden');
+    }
+  }
+}
+
+/**
+ * Base class of the fallback plugins. Mirrors the instance management of
+ * Bootstrap's BaseComponent (getInstance, getOrCreateInstance, dispose).
+ * @private
+ */
+class BsFallbackPlugin {
+  /**
+   * @param {HTMLElement} element
+   * @param {Object} [config]
+   */
+  constructor(element, config = {}) {
+    this._element = element;
+    this._config = config || {};
+
+    if (!BsFallbackPlugin._registry.has(element)) {
+      BsFallbackPlugin._registry.set(element, new Map());
+    }
+    BsFallbackPlugin._registry.get(element).set(this.constructor.NAME, this);
+  }
+
+  /** @returns {string} The plugin name used in event names, e.g. 'modal'. */
+  static get NAME() {
+    return '';
+  }
+
+  /**
+   * Removes the instance from its element.
+   */
+  dispose() {
+    const instances = BsFallbackPlugin._registry.get(this._element);
+    if (instances) {
+      instances.delete(this.constructor.NAME);
+    }
+    this._element = null;
+  }
+
+  /**
+   * Reads an option from the config, falling back to the data-bs-* attribute.
+   * @param {string} name
+   * @param {*} defaultValue
+   * @returns {*}
+   * @protected
+   */
+  _option(name, defaultValue) {
+    if (this._config[name] !== undefined) {
+      return this._config[name];
+    }
+    const attr = this._element.getAttribute(`data-bs-${name}`);
+    if (attr === null) return defaultValue;
+    if (attr === 'true') return true;
+    if (attr === 'false') return false;
+    return attr;
+  }
+
+  /**
+   * Dispatches `<type>.bs.<name>` on the element.
+   * @param {string} type
+   * @param {Object} [props]
+   * @returns {Event}
+   * @protected
+   */
+  _trigger(type, props) {
+    return BsCore.trigger(this._element, `${type}.bs.${this.constructor.NAME}`, props);
+  }
+
+  static getInstance(element) {
+    const instances = BsFallbackPlugin._registry.get(element);
+    return (instances && instances.get(this.NAME)) || null;
+  }
+
+  static getOrCreateInstance(element, config = {}) {
+    return this.getInstance(element) || new this(element, typeof config === 'object' ? config : null);
+  }
+}
+
+/** @type {WeakMap<HTMLElement, Map<string, BsFallbackPlugin>>} */
+BsFallbackPlugin._registry = new WeakMap();
+
+/**
+ * Fallback for `bootstrap.Modal` built on a native `<dialog>` element.
+ *
+ * The `.modal` element is wrapped in a `<dialog>` that is opened with
+ * `showModal()`, which provides the backdrop, focus trapping and focus
+ * restoration. Supports the backdrop ('true', 'false', 'static') and keyboard
+ * options.
+ */
+class BsFallbackModal extends BsFallbackPlugin {
+  constructor(element, config) {
+    super(element, config);
+    this._isShown = false;
+    this._isTransitioning = false;
+
+    BsCore._ensureFallbackStyles();
+
+    this._dialog = document.createElement('dialog');
+    this._dialog.className = 'bs-fallback-modal';
+    element.before(this._dialog);
+    this._dialog.appendChild(element);
+
+    this._handleCancel = this._handleCancel.bind(this);
+    this._handleClick = this._handleClick.bind(this);
+    this._dialog.addEventListener('cancel', this._handleCancel);
+    element.addEventListener('click', this._handleClick);
+  }
+
+  static get NAME() {
+    return 'modal';
+  }
+
+  show(relatedTarget) {
+    if (this._isShown || this._isTransitioning) return;
+    if (this._trigger('show', { relatedTarget }).defaultPrevented) return;
+
+    this._isShown = true;
+    this._isTransitioning = true;
+
+    const element = this._element;
+    this._dialog.classList.toggle('bs-fallback-no-backdrop', String(this._option('backdrop', true)) === 'false');
+    this._dialog.showModal();
+    document.body.classList.add('modal-open');
+
+    element.style.display = 'block';
+    element.removeAttribute('aria-hidden');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('role', 'dialog');
+    element.scrollTop = 0;
+
+    BsCore.reflow(element);
+    element.classList.add('show');
+
+    const dialogEl = element.querySelector('.modal-dialog') || element;
+    BsCore.afterTransition(dialogEl, () => {
+      this._isTransitioning = false;
+      this._trigger('shown', { relatedTarget });
+    }, element.classList.contains('fade'));
+  }
+
+  hide() {
+    if (!this._isShown || this._isTransitioning) return;
+    if (this._trigger('hide').defaultPrevented) return;
+
+    this._isShown = false;
+    this._isTransitioning = true;
+
+    const element = this._element;
+    element.classList.remove('show');
+
+    const dialogEl = element.querySelector('.modal-dialog') || element;
+    BsCore.afterTransition(dialogEl, () => {
+      element.style.display = 'none';
+      element.setAttribute('aria-hidden', 'true');
+      element.removeAttribute('aria-modal');
+      element.removeAttribute('role');
+      this._close();
+
+      this._isTransitioning = false;
+      this._trigger('hidden');
+    }, element.classList.contains('fade'));
+  }
+
+  toggle(relatedTarget) {
+    return this._isShown ? this.hide() : this.show(relatedTarget);
+  }
+
+  handleUpdate() {
+    // The native dialog positions itself; nothing to readjust.
+  }
+
+  dispose() {
+    this._close();
+    this._dialog.removeEventListener('cancel', this._handleCancel);
+    this._element.removeEventListener('click', this._handleClick);
+    if (this._dialog.parentNode) {
+      this._dialog.replaceWith(this._element);
+    }
+    super.dispose();
+  }
+
+  /**
+   * Closes the dialog and releases the body scroll lock.
+   * @private
+   */
+  _close() {
+    if (this._dialog.open) {
+      this._dialog.close();
+    }
+    if (!document.querySelector('dialog.bs-fallback-modal[open]')) {
+      document.body.classList.remove('modal-open');
+    }
+  }
+
+  /**
+   * Escape key: honor the keyboard option and fire the regular hide events.
+   * @private
+   */
+  _handleCancel(e) {
+    e.preventDefault();
+    if (this._option('keyboard', true)) {
+      this.hide();
+    }
+  }
+
+  /**
+   * Clicks outside of .modal-dialog land on the .modal element itself.
+   * @private
+   */
+  _handleClick(e) {
+    if (e.target === this._element && this._option('backdrop', true) === true) {
+      this.hide();
+    }
+  }
+}
+
+/**
+ * Fallback for `bootstrap.Collapse` using Bootstrap's `.collapse`,
+ * `.collapsing` and `.show` classes and the transitionend event.
+ * Supports the parent (accordion) and toggle options.
+ */
+class BsFallbackCollapse extends BsFallbackPlugin {
+  constructor(element, config) {
+    super(element, config);
+    this._isTransitioning = false;
+
+    if (this._option('toggle', true)) {
+      this.toggle();
+    }
+  }
+
+  static get NAME() {
+    return 'collapse';
+  }
+
+  show() {
+    if (this._isTransitioning || this._isShown()) return;
+
+    const siblings = this._getOpenSiblings();
+    if (siblings.some(sibling => {
+      const instance = BsFallbackCollapse.getInstance(sibling);
+      return instance && instance._isTransitioning;
+    })) return;
+
+    if (this._trigger('show').defaultPrevented) return;
+
+    siblings.forEach(sibling => {
+      BsFallbackCollapse.getOrCreateInstance(sibling, { toggle: false }).hide();
+    });
+
+    const element = this._element;
+    element.classList.remove('collapse');
+    element.classList.add('collapsing');
+    element.style.height = '0px';
+    this._setTriggers(true);
+    this._isTransitioning = true;
+
+    // Reading scrollHeight flushes the 0px height, so the transition starts from there.
+    element.style.height = `${element.scrollHeight}px`;
+
+    BsCore.afterTransition(element, () => {
+      this._isTransitioning = false;
+      element.classList.remove('collapsing');
+      element.classList.add('collapse', 'show');
+      element.style.height = '';
+      this._trigger('shown');
+    });
+  }
+
+  hide() {
+    if (this._isTransitioning || !this._isShown()) return;
+    if (this._trigger('hide').defaultPrevented) return;
+
+    const element = this._element;
+    element.style.height = `${element.getBoundingClientRect().height}px`;
+    BsCore.reflow(element);
+
+    element.classList.add('collapsing');
+    element.classList.remove('collapse', 'show');
+    this._setTriggers(false);
+    this._isTransitioning = true;
+    element.style.height = '';
+
+    BsCore.afterTransition(element, () => {
+      this._isTransitioning = false;
+      element.classList.remove('collapsing');
+      element.classList.add('collapse');
+      this._trigger('hidden');
+    });
+  }
+
+  toggle() {
+    return this._isShown() ? this.hide() : this.show();
+  }
+
+  /** @private */
+  _isShown() {
+    return this._element.classList.contains('show');
+  }
+
+  /**
+   * Returns the open collapses that share this element's parent.
+   * @returns {HTMLElement[]}
+   * @private
+   */
+  _getOpenSiblings() {
+    const parentSelector = this._option('parent', null);
+    if (!parentSelector) return [];
+
+    const parent = typeof parentSelector === 'string' ? document.querySelector(parentSelector) : parentSelector;
+    if (!parent) return [];
+
+    return Array.from(parent.querySelectorAll('[data-bs-parent]')).filter(el =>
+      el !== this._element &&
+      el.getAttribute('data-bs-parent') === this._element.getAttribute('data-bs-parent') &&
+      (el.classList.contains('show') || el.classList.contains('collapsing'))
+    );
+  }
+
+  /**
+   * Updates the collapsed class and aria-expanded of every trigger pointing at this element.
+   * @param {boolean} isOpen
+   * @private
+   */
+  _setTriggers(isOpen) {
+    document.querySelectorAll('[data-bs-toggle="collapse"]').forEach(trigger => {
+      if (BsCore.getTarget(trigger) === this._element) {
+        trigger.classList.toggle('collapsed', !isOpen);
+        trigger.setAttribute('aria-expanded', String(isOpen));
+      }
+    });
+  }
+}
+
+/**
+ * Fallback for `bootstrap.Alert`. Fades the alert out (if it has the fade
+ * class) and removes it from the DOM.
+ */
+class BsFallbackAlert extends BsFallbackPlugin {
+  static get NAME() {
+    return 'alert';
+  }
+
+  close() {
+    if (this._trigger('close').defaultPrevented) return;
+
+    const element = this._element;
+    element.classList.remove('show');
+
+    BsCore.afterTransition(element, () => {
+      element.remove();
+      BsCore.trigger(element, 'closed.bs.alert');
+      this.dispose();
+    }, element.classList.contains('fade'));
+  }
+}
+
+/**
+ * Fallback for `bootstrap.Toast`, including the autohide timer that pauses
+ * while the toast is hovered or focused. Supports the animation, autohide and
+ * delay options.
+ */
+class BsFallbackToast extends BsFallbackPlugin {
+  constructor(element, config) {
+    super(element, config);
+    this._timeout = null;
+    this._hasMouseInteraction = false;
+    this._hasKeyboardInteraction = false;
+
+    this._handleInteraction = this._handleInteraction.bind(this);
+    ['mouseover', 'mouseout', 'focusin', 'focusout'].forEach(type => {
+      element.addEventListener(type, this._handleInteraction);
+    });
+  }
+
+  static get NAME() {
+    return 'toast';
+  }
+
+  show() {
+    if (this._trigger('show').defaultPrevented) return;
+
+    this._clearTimeout();
+    const element = this._element;
+    const animation = this._option('animation', true);
+    if (animation) {
+      element.classList.add('fade');
+    }
+
+    element.classList.remove('hide');
+    BsCore.reflow(element);
+    element.classList.add('show', 'showing');
+
+    BsCore.afterTransition(element, () => {
+      element.classList.remove('showing');
+      this._trigger('shown');
+      this._maybeScheduleHide();
+    }, animation);
+  }
+
+  hide() {
+    if (!this.isShown()) return;
+    if (this._trigger('hide').defaultPrevented) return;
+
+    const element = this._element;
+    element.classList.add('showing');
+
+    BsCore.afterTransition(element, () => {
+      element.classList.add('hide');
+      element.classList.remove('showing', 'show');
+      this._trigger('hidden');
+    }, this._option('animation', true));
+  }
+
+  isShown() {
+    return this._element.classList.contains('show');
+  }
+
+  dispose() {
+    this._clearTimeout();
+    if (this.isShown()) {
+      this._element.classList.remove('show');
+    }
+    ['mouseover', 'mouseout', 'focusin', 'focusout'].forEach(type => {
+      this._element.removeEventListener(type, this._handleInteraction);
+    });
+    super.dispose();
+  }
+
+  /** @private */
+  _maybeScheduleHide() {
+    if (!this._option('autohide', true) || this._hasMouseInteraction || this._hasKeyboardInteraction) return;
+
+    this._timeout = setTimeout(() => {
+      this.hide();
+    }, Number(this._option('delay', 5000)));
+  }
+
+  /** @private */
+  _clearTimeout() {
+    clearTimeout(this._timeout);
+    this._timeout = null;
+  }
+
+  /** @private */
+  _handleInteraction(e) {
+    const isInteracting = e.type === 'mouseover' || e.type === 'focusin';
+    if (e.type === 'mouseover' || e.type === 'mouseout') {
+      this._hasMouseInteraction = isInteracting;
+    } else {
+      this._hasKeyboardInteraction = isInteracting;
+    }
+
+    if (isInteracting) {
+      this._clearTimeout();
+      return;
+    }
+
+    const nextElement = e.relatedTarget;
+    if (this._element === nextElement || this._element.contains(nextElement)) return;
+
+    this._maybeScheduleHide();
+  }
+}
+
+/**
+ * The fallback plugins returned by `BsCore.plugin()` when Bootstrap is not loaded.
+ * @type {Object<string, Function>}
+ */
+BsCore.fallbacks = {
+  Modal: BsFallbackModal,
+  Collapse: BsFallbackCollapse,
+  Alert: BsFallbackAlert,
+  Toast: BsFallbackToast
+};
+
+/**
+ * Configuration of the sanitizer used by the components' `html` mode and by
+ * `BsCore.sanitize()`. The allow list has the same shape as Bootstrap's
+ * tooltip `allowList`: tag names mapped to allowed attribute names or patterns,
+ * with `'*'` applying to every tag. Set `sanitizeFn` to a function that takes
+ * and returns a markup string to use your own sanitizer (e.g. DOMPurify) instead.
+ * @type {{allowList: Object<string, Array<string|RegExp>>, sanitizeFn: Function|null}}
+ */
+BsCore.sanitizer = {
+  allowList: {
+    '*': ['class', 'dir', 'id', 'lang', 'role', /^aria-[\w-]*$/i],
+    a: ['target', 'href', 'title', 'rel'],
+    abbr: ['title'],
+    b: [],
+    br: [],
+    code: [],
+    div: [],
+    em: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    i: [],
+    img: ['src', 'srcset', 'alt', 'title', 'width', 'height'],
+    kbd: [],
+    li: [],
+    mark: [],
+    ol: [],
+    p: [],
+    pre: [],
+    s: [],
+    small: [],
+    span: [],
+    strong: [],
+    sub: [],
+    sup: [],
+    u: [],
+    ul: []
+  },
+  sanitizeFn: null
+};
+
+/** @type {TrustedTypePolicy|null} */
+BsCore._policy = null;
+/** @type {'pending'|'bootstrap'|'fallback'} */
+BsCore._mode = 'pending';
+/** @type {Array<{name: string, callback: Function}>} */
+BsCore._queue = [];
+
+BsCore._watchBootstrap();
+document.addEventListener('click', BsCore._handleDataApiClick);
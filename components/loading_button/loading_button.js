@@ -5,7 +5,7 @@
  * @element loading-button
  *
  * @attr {string} variant - The Bootstrap button variant (e.g., primary, danger, link).
- * @attr {string} value - The text to display if no innerHTML is provided.
+ * @attr {string} value - The text to display if the element has no content.
  *
  * @example
  * <!-- 1. With a variant and additional classes -->
@@ -38,9 +38,10 @@ class LoadingButton extends HTMLElement {
    */
   connectedCallback() {
     if (!this.button) {
-      /** @type {string} */
-      this.originalContent =
-        this.innerHTML.trim() || this.getAttribute("value") || "";
+      /** @type {Node[]} */
+      this.originalContent = (this.textContent.trim() || this.children.length)
+        ? Array.from(this.childNodes)
+        : [document.createTextNode(this.getAttribute("value") || "")];
       this.render();
     }
     // Listen on the internal button to ensure we catch it at the target phase.
@@ -98,8 +99,7 @@ class LoadingButton extends HTMLElement {
       this.button.setAttribute("type", "submit");
     }
 
-    this.button.innerHTML = this.originalContent;
-    this.innerHTML = "";
+    this.button.replaceChildren(...this.originalContent);
     this.appendChild(this.button);
   }
 
@@ -135,7 +135,7 @@ class LoadingButton extends HTMLElement {
     this.button.classList.add("disabled");
     this.button.style.pointerEvents = "none";
     this.style.cursor = "wait";
-    this.button.innerHTML = `<div class="text-center"><span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span><span class="visually-hidden">Loading...</span></div>`;
+    this.button.replaceChildren(this._createSpinner());
 
     // 3. Stop the current event from bubbling immediately.
     // This prevents parent listeners (like form onsubmit) from blocking
@@ -166,9 +166,31 @@ class LoadingButton extends HTMLElement {
       this.button.style.pointerEvents = "";
       this.style.cursor = "";
       this.button.style.width = this._originalWidthStyle || "";
-      this.button.innerHTML = this.originalContent;
+      this.button.replaceChildren(...this.originalContent);
     }
   }
+
+  /**
+   * Creates the spinner shown while loading.
+   * @returns {HTMLDivElement}
+   * @private
+   */
+  _createSpinner() {
+    const container = document.createElement("div");
+    container.className = "text-center";
+
+    const spinner = document.createElement("span");
+    spinner.className = "spinner-border spinner-border-sm";
+    spinner.setAttribute("role", "status");
+    spinner.setAttribute("aria-hidden", "true");
+
+    const label = document.createElement("span");
+    label.className = "visually-hidden";
+    label.textContent = "Loading...";
+
+    container.append(spinner, label);
+    return container;
+  }
 }
 
 if (!customElements.get("loading-button")) {
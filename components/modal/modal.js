@@ -8,6 +8,7 @@
  * @element bs-modal
  *
  * @attribute {string} [title] - The title of the modal (displayed in the header).
+ * @attribute {boolean} [html] - If present, the title is rendered as sanitized HTML (see `BsCore.sanitizer`).
  * @attribute {boolean} [fade=true] - Whether to use the fade animation.
  * @attribute {string} [backdrop='true'] - The backdrop option: 'true', 'false', or 'static'.
  * @attribute {string} [keyboard='true'] - Whether the modal can be closed with the escape key: 'true' or 'false'.
@@ -15,76 +16,127 @@
  * @attribute {boolean} [centered] - If present, the modal will be vertically centered.
  * @attribute {boolean} [scrollable] - If present, the modal body will be scrollable.
  * @attribute {string} [fullscreen] - Boolean or breakpoint: 'true', 'sm', 'md', 'lg', 'xl', 'xxl'.
+ * @attribute {string} [src] - URL of an HTML fragment that is fetched on show and distributed into the slots.
+ *   A footer in the fragment replaces the footer slot; otherwise the footer from the markup is kept.
+ *   The fragment is not sanitized, so only use URLs that return markup you trust.
+ * @attribute {boolean} [cache] - If present, the src fragment is only fetched once instead of on every show.
+ * @attribute {boolean} [open] - Reflects whether the modal is shown. Setting or removing it shows or hides the modal.
+ *
+ * @fires bs-show - Before the modal is shown. Cancelable.
+ * @fires bs-shown - After the modal has been shown.
+ * @fires bs-hide - Before the modal is hidden. Cancelable.
+ * @fires bs-hidden - After the modal has been hidden.
  *
  * @slot title - Custom title element (overrides the title attribute).
  * @slot body - Content for the modal body.
  * @slot footer - Content for the modal footer.
  * @slot - Default slot for content (placed in the modal body).
  */
-class BsModal extends HTMLElement {
+class BsModal extends BsElement {
+  static get attributes() {
+    return {
+      title: { type: String, default: '' },
+      fade: { type: Boolean, default: true },
+      backdrop: { type: String, default: 'true' },
+      keyboard: { type: String, default: 'true' },
+      size: { type: String },
+      centered: { type: Boolean },
+      scrollable: { type: Boolean },
+      fullscreen: { type: String },
+      src: { type: String },
+      cache: { type: Boolean },
+      open: { type: Boolean },
+      html: { type: Boolean }
+    };
+  }
+
   constructor() {
     super();
     this.modal = null;
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    // This is necessary when the component is used directly in HTML without deferring the script.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+    this._requestId = 0;
+    this._loadedSrc = null;
+    this._reflecting = false;
+    /** @type {Node[]} The footer from the markup, shown unless a src fragment has its own. */
+    this._footerNodes = [];
   }
 
-  disconnectedCallback() {
+  _disconnect() {
     if (this.modal) {
       this.modal.dispose();
       this.modal = null;
     }
   }
 
+  _reconnect() {
+    this._createModal();
+  }
+
+  /**
+   * Updates the rendered modal after an attribute change.
+   * @param {string} name
+   * @param {string|null} oldValue
+   * @param {string|null} newValue
+   * @private
+   */
+  _update(name, oldValue, newValue) {
+    const modalElement = this.querySelector('.modal');
+
+    switch (name) {
+      case 'open':
+        // Internal reflection must not loop back
+        if (this._reflecting || (oldValue === null) === (newValue === null)) return;
+        if (newValue !== null) {
+          this.show();
+        } else {
+          this.hide();
+        }
+        break;
+      case 'title':
+      case 'html':
+        // A title slot takes precedence over the attribute
+        if (!this._titleSlotted) {
+          this._setContent(this.querySelector('.modal-title'), this._attr('title'));
+        }
+        break;
+      case 'fade':
+        modalElement.classList.toggle('fade', this._attr('fade'));
+        break;
+      case 'backdrop':
+      case 'keyboard':
+        modalElement.setAttribute(`data-bs-${name}`, this._attr(name));
+        this._refreshModal();
+        break;
+      case 'size':
+      case 'centered':
+      case 'scrollable':
+      case 'fullscreen':
+        this.querySelector('.modal-dialog').className = this._dialogClasses().join(' ');
+        break;
+      case 'src':
+        this._loadedSrc = null;
+        if (this.hasAttribute('open')) {
+          this._loadRemote();
+        }
+        break;
+    }
+  }
+
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const title = this.getAttribute('title') || '';
-    const fade = this.hasAttribute('fade') || this.getAttribute('fade') !== 'false';
-    const backdrop = this.getAttribute('backdrop') || 'true';
-    const keyboard = this.getAttribute('keyboard') || 'true';
-    const size = this.getAttribute('size');
-    const centered = this.hasAttribute('centered');
-    const scrollable = this.hasAttribute('scrollable');
-    const fullscreen = this.getAttribute('fullscreen');
+    const title = this._attr('title');
 
     // Create the internal modal container
     const modalElement = document.createElement('div');
     modalElement.className = 'modal';
-    if (fade) {
+    if (this._attr('fade')) {
       modalElement.classList.add('fade');
     }
     modalElement.setAttribute('tabindex', '-1');
     modalElement.setAttribute('aria-hidden', 'true');
-    modalElement.setAttribute('data-bs-backdrop', backdrop);
-    modalElement.setAttribute('data-bs-keyboard', keyboard);
+    modalElement.setAttribute('data-bs-backdrop', this._attr('backdrop'));
+    modalElement.setAttribute('data-bs-keyboard', this._attr('keyboard'));
 
     // Pass through classes from the host element to the underlying div
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      modalElement.className += ` ${hostClasses}`;
-    }
-
-    const sizeClass = size ? `modal-${size}` : '';
-    const centeredClass = centered ? 'modal-dialog-centered' : '';
-    const scrollableClass = scrollable ? 'modal-dialog-scrollable' : '';
-    
-    let fullscreenClass = '';
-    if (fullscreen === '') {
-      fullscreenClass = 'modal-fullscreen';
-    } else if (fullscreen) {
-      fullscreenClass = (fullscreen === 'true') ? 'modal-fullscreen' : `modal-fullscreen-${fullscreen}-down`;
-    }
+    this._passClasses(modalElement);
 
     // Capture children and clear innerHTML for the new structure
     const fragment = document.createDocumentFragment();
@@ -92,28 +144,173 @@ class BsModal extends HTMLElement {
       fragment.appendChild(this.firstChild);
     }
 
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(modalElement);
 
-    modalElement.innerHTML = `
-      <div class="modal-dialog ${centeredClass} ${scrollableClass} ${sizeClass} ${fullscreenClass}">
-        <div class="modal-content">
-          <div class="modal-header">
-            <h5 class="modal-title">${title}</h5>
-            <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
-          </div>
-          <div class="modal-body"></div>
-          <div class="modal-footer"></div>
-        </div>
-      </div>
-    `;
-
-    const bodyContainer = modalElement.querySelector('.modal-body');
-    const footerContainer = modalElement.querySelector('.modal-footer');
-    const titleContainer = modalElement.querySelector('.modal-title');
+    const dialog = document.createElement('div');
+    dialog.className = this._dialogClasses().join(' ');
+
+    const content = document.createElement('div');
+    content.className = 'modal-content';
+
+    const header = document.createElement('div');
+    header.className = 'modal-header';
+
+    const titleElement = document.createElement('h5');
+    titleElement.className = 'modal-title';
+    this._setContent(titleElement, title);
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'btn-close';
+    closeButton.setAttribute('data-bs-dismiss', 'modal');
+    closeButton.setAttribute('aria-label', 'Close');
+
+    const body = document.createElement('div');
+    body.className = 'modal-body';
+
+    const footer = document.createElement('div');
+    footer.className = 'modal-footer';
+
+    header.appendChild(titleElement);
+    header.appendChild(closeButton);
+    content.appendChild(header);
+    content.appendChild(body);
+    content.appendChild(footer);
+    dialog.appendChild(content);
+    modalElement.appendChild(dialog);
+
+    this._distribute(fragment.childNodes);
+    this._footerNodes = Array.from(footer.childNodes);
+
+    // Remove footer if it remains empty
+    this._removeEmptyFooter();
+
+    // Re-dispatch Bootstrap's events on the host and keep the open attribute in sync
+    ['show', 'shown', 'hide', 'hidden'].forEach(type => {
+      modalElement.addEventListener(`${type}.bs.modal`, (e) => {
+        if (e.target === modalElement) {
+          this._handleModalEvent(type, e);
+        }
+      });
+    });
+
+    this._createModal();
+  }
+
+  /**
+   * Creates the Bootstrap modal (or the built-in fallback) once it is available
+   * and shows it if the open attribute is present.
+   * @private
+   */
+  _createModal() {
+    BsCore.whenPlugin('Modal', () => {
+      if (this.modal || !this.isConnected) return;
+      this._ensureModal();
+
+      if (this.hasAttribute('open')) {
+        this.modal.show();
+      }
+    });
+  }
+
+  /**
+   * Returns the classes of the .modal-dialog element for the current size,
+   * centered, scrollable and fullscreen attributes.
+   * @returns {string[]}
+   * @private
+   */
+  _dialogClasses() {
+    const size = this._attr('size');
+    const fullscreen = this._attr('fullscreen');
+    const classes = ['modal-dialog'];
+
+    if (this._attr('centered')) classes.push('modal-dialog-centered');
+    if (this._attr('scrollable')) classes.push('modal-dialog-scrollable');
+    if (size) classes.push(`modal-${size}`);
+
+    if (fullscreen === '' || fullscreen === 'true') {
+      classes.push('modal-fullscreen');
+    } else if (fullscreen) {
+      classes.push(`modal-fullscreen-${fullscreen}-down`);
+    }
+    return classes;
+  }
+
+  /**
+   * Recreates the plugin instance so that it picks up changed options.
+   * Bootstrap reads them only once, so a shown modal is recreated after it
+   * has been hidden.
+   * @private
+   */
+  _refreshModal() {
+    if (!this.modal) return;
+    if (this.hasAttribute('open')) {
+      this._staleModal = true;
+      return;
+    }
+    this._staleModal = false;
+    this.modal.dispose();
+    this.modal = null;
+    this._ensureModal();
+  }
+
+  /**
+   * Forwards a Bootstrap modal event to the host as a `bs-*` event.
+   * Cancelling `bs-show` or `bs-hide` cancels the underlying Bootstrap event.
+   * @param {'show'|'shown'|'hide'|'hidden'} type
+   * @param {Event} bsEvent - The original Bootstrap event.
+   * @private
+   */
+  _handleModalEvent(type, bsEvent) {
+    const cancelable = type === 'show' || type === 'hide';
+    const hostEvent = new CustomEvent(`bs-${type}`, {
+      bubbles: true,
+      cancelable: cancelable,
+      detail: { relatedTarget: bsEvent.relatedTarget || null }
+    });
+
+    if (!this.dispatchEvent(hostEvent) && cancelable) {
+      bsEvent.preventDefault();
+      // Revert the attribute if the state change was requested through it
+      this._reflectOpen(type === 'hide');
+      return;
+    }
+
+    if (type === 'show') {
+      this._loadRemote();
+      this._reflectOpen(true);
+    } else if (type === 'hidden') {
+      this._reflectOpen(false);
+      if (this._staleModal) {
+        this._refreshModal();
+      }
+    }
+  }
+
+  /**
+   * Sets or removes the open attribute without triggering show/hide.
+   * @param {boolean} open
+   * @private
+   */
+  _reflectOpen(open) {
+    this._reflecting = true;
+    this.toggleAttribute('open', open);
+    this._reflecting = false;
+  }
+
+  /**
+   * Distributes nodes into the title, body and footer containers according to their slot attribute.
+   * @param {NodeList|Node[]} nodes
+   * @private
+   */
+  _distribute(nodes) {
+    const bodyContainer = this.querySelector('.modal-body');
+    const footerContainer = this.querySelector('.modal-footer');
+    const titleContainer = this.querySelector('.modal-title');
 
     // Distribute children to their respective slots
-    Array.from(fragment.childNodes).forEach(child => {
+    Array.from(nodes).forEach(child => {
       if (child.nodeType === Node.ELEMENT_NODE && child.hasAttribute('slot')) {
         const slot = child.getAttribute('slot');
         if (slot === 'body') {
@@ -121,8 +318,9 @@ class BsModal extends HTMLElement {
         } else if (slot === 'footer') {
           footerContainer.appendChild(child);
         } else if (slot === 'title') {
-          titleContainer.innerHTML = ''; // Overwrite default title attribute
+          titleContainer.textContent = ''; // Overwrite default title attribute
           titleContainer.appendChild(child);
+          this._titleSlotted = true;
         } else {
           bodyContainer.appendChild(child);
         }
@@ -131,18 +329,102 @@ class BsModal extends HTMLElement {
         bodyContainer.appendChild(child);
       }
     });
+  }
 
-    // Remove footer if it remains empty
-    if (footerContainer.childNodes.length === 0) {
-      footerContainer.remove();
+  /**
+   * Fetches the HTML fragment referenced by the src attribute and distributes it
+   * into the title, body and footer. With the cache attribute, the fragment is
+   * only fetched once per URL.
+   * @private
+   */
+  _loadRemote() {
+    const src = this.getAttribute('src');
+    if (!src) return;
+    if (this.hasAttribute('cache') && this._loadedSrc === src) return;
+
+    // Ignore responses of earlier requests that finish after a newer one was started
+    const requestId = ++this._requestId;
+    this._loadedSrc = null;
+
+    this._setRemoteState(BsCore.createSpinner());
+
+    BsCore.fetchHTML(src)
+      .then(html => {
+        if (requestId !== this._requestId) return;
+
+        const fragment = BsCore.parseHTML(html);
+
+        this._setRemoteState(null);
+        // A footer in the fragment replaces the one from the markup
+        const hasFooter = Array.from(fragment.children).some(child => child.getAttribute('slot') === 'footer');
+        this._ensureFooter();
+        if (hasFooter) {
+          this.querySelector('.modal-footer').textContent = '';
+        }
+        this._distribute(fragment.childNodes);
+        this._removeEmptyFooter();
+
+        this._loadedSrc = src;
+        this.handleUpdate();
+      })
+      .catch(error => {
+        if (requestId !== this._requestId) return;
+        this._setRemoteState(BsCore.createLoadError(error));
+      });
+  }
+
+  /**
+   * Replaces the body with the given node (or empties it) and restores the
+   * footer from the markup.
+   * @param {Node|null} node
+   * @private
+   */
+  _setRemoteState(node) {
+    const bodyContainer = this.querySelector('.modal-body');
+    bodyContainer.textContent = '';
+    if (node) {
+      bodyContainer.appendChild(node);
+    }
+
+    this._ensureFooter();
+    const footerContainer = this.querySelector('.modal-footer');
+    footerContainer.textContent = '';
+    this._footerNodes.forEach(child => footerContainer.appendChild(child));
+    this._removeEmptyFooter();
+  }
+
+  /**
+   * Re-creates the footer container if it was removed.
+   * @private
+   */
+  _ensureFooter() {
+    if (!this.querySelector('.modal-footer')) {
+      const footerContainer = document.createElement('div');
+      footerContainer.className = 'modal-footer';
+      this.querySelector('.modal-content').appendChild(footerContainer);
     }
+  }
 
-    // Initialize Bootstrap Modal if the bootstrap object is available globally
-    if (window.bootstrap && window.bootstrap.Modal) {
-      this.modal = new bootstrap.Modal(modalElement);
+  /**
+   * Removes the footer container if it has no content.
+   * @private
+   */
+  _removeEmptyFooter() {
+    const footerContainer = this.querySelector('.modal-footer');
+    if (footerContainer && footerContainer.childNodes.length === 0) {
+      footerContainer.remove();
     }
   }
 
+  /**
+   * Fetches the remote content again, ignoring the cache.
+   */
+  reload() {
+    this._ensureModal();
+    this._loadedSrc = null;
+    this._loadRemote();
+  }
+
   /**
    * Shows the modal.
    */
@@ -150,6 +432,9 @@ class BsModal extends HTMLElement {
     this._ensureModal();
     if (this.modal) {
       this.modal.show();
+    } else {
+      // Shown as soon as the plugin becomes available
+      this._reflectOpen(true);
     }
   }
 
@@ -159,6 +444,8 @@ class BsModal extends HTMLElement {
   hide() {
     if (this.modal) {
       this.modal.hide();
+    } else {
+      this._reflectOpen(false);
     }
   }
 
@@ -192,14 +479,182 @@ class BsModal extends HTMLElement {
   }
 
   _ensureModal() {
-    if (!this._initialized) {
-      this._render();
-    }
-    if (!this.modal && window.bootstrap && window.bootstrap.Modal) {
+    this._initialize();
+    const Modal = BsCore.plugin('Modal');
+    if (!this.modal && Modal) {
       const modalEl = this.querySelector('.modal');
-      this.modal = new bootstrap.Modal(modalEl);
+      this.modal = new Modal(modalEl);
     }
   }
+
+  // --- Static Dialog Helpers ---
+
+  /**
+   * Shows a message with a single OK button, like `window.alert()`.
+   * @param {Object} [options] - See {@link BsModal._dialog}.
+   * @returns {Promise<void>} Resolves once the dialog has been closed, however it was closed.
+   */
+  static alert(options = {}) {
+    return this._dialog('alert', options);
+  }
+
+  /**
+   * Asks the user to confirm an action, like `window.confirm()`.
+   * @param {Object} [options] - See {@link BsModal._dialog}.
+   * @returns {Promise<boolean>} Resolves true if confirmed, false if cancelled or dismissed.
+   */
+  static confirm(options = {}) {
+    return this._dialog('confirm', options);
+  }
+
+  /**
+   * Asks the user to enter a value, like `window.prompt()`.
+   * @param {Object} [options] - See {@link BsModal._dialog}.
+   * @returns {Promise<string|null>} Resolves with the entered value, or null if cancelled or dismissed.
+   */
+  static prompt(options = {}) {
+    return this._dialog('prompt', options);
+  }
+
+  /**
+   * Builds a throwaway `<bs-modal>`, shows it, and removes it again once hidden.
+   * @param {'alert'|'confirm'|'prompt'} kind
+   * @param {Object} options
+   * @param {string} [options.title] - The modal title.
+   * @param {string|Node} [options.body] - The message (plain text) or a node to place in the body.
+   * @param {string} [options.okText='OK'] - The label of the confirming button.
+   * @param {string} [options.cancelText='Cancel'] - The label of the cancelling button.
+   * @param {string} [options.variant='primary'] - The button variant of the confirming button.
+   * @param {string} [options.value=''] - Prompt only: the initial value of the input.
+   * @param {string} [options.placeholder] - Prompt only: the placeholder of the input.
+   * @param {string} [options.inputType='text'] - Prompt only: the type of the input.
+   * @returns {Promise<*>}
+   * @private
+   */
+  static _dialog(kind, options) {
+    const {
+      title = '',
+      body = '',
+      okText = 'OK',
+      cancelText = 'Cancel',
+      variant = 'primary'
+    } = options;
+    const dialogId = `modal-dialog-${Math.random().toString(36).substr(2, 9)}`;
+
+    const host = document.createElement('bs-modal');
+
+    if (title) {
+      const titleEl = document.createElement('span');
+      titleEl.setAttribute('slot', 'title');
+      titleEl.textContent = title;
+      host.appendChild(titleEl);
+    }
+
+    const bodyEl = document.createElement('div');
+    bodyEl.setAttribute('slot', 'body');
+    host.appendChild(bodyEl);
+
+    let input = null;
+    if (kind === 'prompt') {
+      input = document.createElement('input');
+      input.id = `${dialogId}-input`;
+      input.type = options.inputType || 'text';
+      input.className = 'form-control';
+      input.value = options.value || '';
+      if (options.placeholder) {
+        input.placeholder = options.placeholder;
+      }
+    }
+
+    if (body instanceof Node) {
+      bodyEl.appendChild(body);
+    } else if (body) {
+      // Plain text only; the message is usually built from user data.
+      const message = document.createElement(input ? 'label' : 'p');
+      message.className = input ? 'form-label' : 'mb-0';
+      message.textContent = body;
+      if (input) {
+        message.htmlFor = input.id;
+      }
+      bodyEl.appendChild(message);
+    }
+
+    if (input) {
+      if (!body && title) {
+        input.setAttribute('aria-label', title);
+      }
+      bodyEl.appendChild(input);
+    }
+
+    if (kind !== 'alert') {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.className = 'btn btn-secondary';
+      cancelBtn.setAttribute('slot', 'footer');
+      cancelBtn.setAttribute('data-bs-dismiss', 'modal');
+      cancelBtn.textContent = cancelText;
+      host.appendChild(cancelBtn);
+    }
+
+    const okBtn = document.createElement('button');
+    okBtn.type = 'button';
+    okBtn.className = `btn btn-${variant}`;
+    okBtn.setAttribute('slot', 'footer');
+    okBtn.textContent = okText;
+    host.appendChild(okBtn);
+
+    // The value used when the dialog is closed without pressing OK
+    // (cancel button, close button, Escape or a backdrop click).
+    const dismissValues = { alert: undefined, confirm: false, prompt: null };
+
+    return new Promise(resolve => {
+      let result = dismissValues[kind];
+
+      const accept = () => {
+        const dismissValue = result;
+        let hideEvent = null;
+        const recordHide = e => {
+          if (e.target === host) hideEvent = e;
+        };
+
+        result = kind === 'prompt' ? input.value : (kind === 'confirm' ? true : undefined);
+        host.addEventListener('bs-hide', recordHide);
+        host.hide();
+        host.removeEventListener('bs-hide', recordHide);
+
+        // Bootstrap ignores the hide while the dialog is still opening,
+        // and a bs-hide listener may cancel it
+        if (!hideEvent || hideEvent.defaultPrevented) {
+          result = dismissValue;
+        }
+      };
+
+      okBtn.addEventListener('click', accept);
+      if (input) {
+        input.addEventListener('keydown', e => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            accept();
+          }
+        });
+      }
+
+      host.addEventListener('bs-shown', () => {
+        (input || okBtn).focus();
+      });
+
+      host.addEventListener('bs-hidden', () => {
+        host.remove();
+        resolve(result);
+      });
+
+      // Wait for the plugin in case Bootstrap has not finished loading yet
+      BsCore.whenPlugin('Modal', () => {
+        document.body.appendChild(host);
+        host.show();
+      });
+    });
+  }
 }
 
 // Define the custom element
@@ -14,30 +14,20 @@
  *
  * @slot - Default slot for `<bs-tab>` elements.
  */
-class BsTabs extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+class BsTabs extends BsElement {
+  static get attributes() {
+    return {
+      variant: { type: String, default: 'tabs' },
+      vertical: { type: Boolean },
+      fill: { type: Boolean },
+      justified: { type: Boolean },
+      fade: { type: Boolean }
+    };
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const variant = this.getAttribute('variant') || 'tabs';
-    const isVertical = this.hasAttribute('vertical');
-    const isFill = this.hasAttribute('fill');
-    const isJustified = this.hasAttribute('justified');
-    const useFade = this.hasAttribute('fade');
+    const variant = this._attr('variant');
+    const useFade = this._attr('fade');
 
     const tabsId = this.id || `tabs-${Math.random().toString(36).substr(2, 9)}`;
     if (!this.id) this.id = tabsId;
@@ -46,28 +36,19 @@ class BsTabs extends HTMLElement {
     const tabs = Array.from(this.querySelectorAll('bs-tab'));
     
     // Clear the element
-    this.innerHTML = '';
+    this.textContent = '';
 
     const container = document.createElement('div');
-    if (isVertical) {
-      container.classList.add('d-flex', 'align-items-start');
-    }
+    this._container = container;
 
     // Pass through classes from the host element to the underlying container
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      container.className += ` ${hostClasses}`;
-    }
+    this._passClasses(container);
 
     const nav = document.createElement('div');
     nav.className = `nav nav-${variant}`;
-    if (isVertical) {
-      nav.classList.add('flex-column', 'me-3');
-      nav.setAttribute('aria-orientation', 'vertical');
-    }
-    if (isFill) nav.classList.add('nav-fill');
-    if (isJustified) nav.classList.add('nav-justified');
     nav.setAttribute('role', 'tablist');
+    this._nav = nav;
+    this._applyLayout();
 
     const content = document.createElement('div');
     content.className = 'tab-content';
@@ -125,6 +106,48 @@ class BsTabs extends HTMLElement {
     container.appendChild(content);
     this.appendChild(container);
   }
+
+  _update(name, oldValue) {
+    switch (name) {
+      case 'variant': {
+        const variant = this._attr('variant');
+        this._replaceClass(this._nav, `nav-${this._attr('variant', oldValue)}`, `nav-${variant}`);
+        this._nav.querySelectorAll(':scope > .nav-link').forEach(button => {
+          button.setAttribute('data-bs-toggle', variant === 'pills' ? 'pill' : 'tab');
+        });
+        break;
+      }
+      case 'fade':
+        this._container.querySelectorAll(':scope > .tab-content > .tab-pane').forEach(pane => {
+          pane.classList.toggle('fade', this._attr('fade'));
+        });
+        break;
+      default:
+        this._applyLayout();
+        break;
+    }
+  }
+
+  /**
+   * Sets the classes for the vertical, fill and justified attributes.
+   * @private
+   */
+  _applyLayout() {
+    const isVertical = this._attr('vertical');
+
+    this._container.classList.toggle('d-flex', isVertical);
+    this._container.classList.toggle('align-items-start', isVertical);
+    this._nav.classList.toggle('flex-column', isVertical);
+    this._nav.classList.toggle('me-3', isVertical);
+    if (isVertical) {
+      this._nav.setAttribute('aria-orientation', 'vertical');
+    } else {
+      this._nav.removeAttribute('aria-orientation');
+    }
+
+    this._nav.classList.toggle('nav-fill', this._attr('fill'));
+    this._nav.classList.toggle('nav-justified', this._attr('justified'));
+  }
 }
 
 /**
@@ -11,56 +11,39 @@
  * @attribute {string} [container='fluid'] - The container type: 'fluid', 'sm', 'md', 'lg', 'xl', 'xxl', or 'standard'.
  * @attribute {string} [placement] - The placement of the navbar: 'fixed-top', 'fixed-bottom', 'sticky-top', 'sticky-bottom'.
  */
-class BsNavbar extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-    setTimeout(() => this._render(), 0);
+class BsNavbar extends BsElement {
+  static get attributes() {
+    return {
+      expand: { type: String, default: 'lg' },
+      background: { type: String, default: 'body-tertiary' },
+      theme: { type: String },
+      container: { type: String, default: 'fluid' },
+      placement: { type: String }
+    };
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const expandAttr = this.getAttribute('expand') || 'lg';
-    const background = this.getAttribute('background') || 'body-tertiary';
-    const theme = this.getAttribute('theme');
-    const containerType = this.getAttribute('container') || 'fluid';
-    const placement = this.getAttribute('placement');
+    const containerType = this._attr('container');
 
     const navbarId = this.id || `navbar-${Math.random().toString(36).substr(2, 9)}`;
     const collapseId = `${navbarId}-collapse`;
     
     this.style.display = 'block';
-    if (theme) this.setAttribute('data-bs-theme', theme);
 
     const nav = document.createElement('nav');
-    let expandClass = '';
-    if (expandAttr === 'always') {
-      expandClass = 'navbar-expand';
-    } else if (expandAttr && expandAttr !== 'none' && expandAttr !== 'false') {
-      expandClass = `navbar-expand-${expandAttr}`;
-    }
-    
-    nav.className = `navbar ${expandClass} bg-${background}`.trim();
-    if (placement) {
-      this.classList.add(placement);
-      nav.classList.add(placement);
-    }
-    if (theme) nav.setAttribute('data-bs-theme', theme);
+    nav.className = 'navbar';
+    this._nav = nav;
+    this._applyExpand();
+    nav.classList.add(`bg-${this._attr('background')}`);
+    this._applyPlacement();
+    this._applyTheme();
 
     // Pass through classes from the host element to the underlying nav
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      nav.className += ` ${hostClasses}`;
-    }
+    this._passClasses(nav);
 
     const container = document.createElement('div');
-    container.className = containerType === 'standard' ? 'container' : `container-${containerType}`;
+    container.className = this._containerClass(containerType);
+    this._container = container;
 
     const toggler = document.createElement('button');
     toggler.className = 'navbar-toggler';
@@ -70,7 +53,9 @@ class BsNavbar extends HTMLElement {
     toggler.setAttribute('aria-controls', collapseId);
     toggler.setAttribute('aria-expanded', 'false');
     toggler.setAttribute('aria-label', 'Toggle navigation');
-    toggler.innerHTML = '<span class="navbar-toggler-icon"></span>';
+    const togglerIcon = document.createElement('span');
+    togglerIcon.className = 'navbar-toggler-icon';
+    toggler.appendChild(togglerIcon);
 
     const collapse = document.createElement('div');
     collapse.className = 'collapse navbar-collapse';
@@ -78,7 +63,7 @@ class BsNavbar extends HTMLElement {
 
     // Capture children
     const children = Array.from(this.childNodes);
-    this.innerHTML = '';
+    this.textContent = '';
 
     // Distribute children: brand goes before toggler, rest goes in collapse
     children.forEach(child => {
@@ -99,6 +84,85 @@ class BsNavbar extends HTMLElement {
     nav.appendChild(container);
     this.appendChild(nav);
   }
+
+  _update(name, oldValue) {
+    switch (name) {
+      case 'expand':
+        this._applyExpand();
+        break;
+      case 'background':
+        this._replaceClass(this._nav, `bg-${this._attr('background', oldValue)}`, `bg-${this._attr('background')}`);
+        break;
+      case 'theme':
+        this._applyTheme();
+        break;
+      case 'container':
+        this._container.className = this._containerClass(this._attr('container'));
+        break;
+      case 'placement':
+        this._applyPlacement(this._attr('placement', oldValue));
+        break;
+    }
+  }
+
+  /**
+   * Sets the navbar-expand-* class for the expand attribute.
+   * @private
+   */
+  _applyExpand() {
+    const expandAttr = this._attr('expand');
+    Array.from(this._nav.classList)
+      .filter(cls => cls.startsWith('navbar-expand'))
+      .forEach(cls => this._nav.classList.remove(cls));
+
+    if (expandAttr === 'always') {
+      this._nav.classList.add('navbar-expand');
+    } else if (expandAttr && expandAttr !== 'none' && expandAttr !== 'false') {
+      this._nav.classList.add(`navbar-expand-${expandAttr}`);
+    }
+  }
+
+  /**
+   * Sets the placement class on the host and the nav.
+   * @param {string|null} [previous] - The placement to remove.
+   * @private
+   */
+  _applyPlacement(previous) {
+    const placement = this._attr('placement');
+    if (previous) {
+      this.classList.remove(previous);
+      this._nav.classList.remove(previous);
+    }
+    if (placement) {
+      this.classList.add(placement);
+      this._nav.classList.add(placement);
+    }
+  }
+
+  /**
+   * Sets data-bs-theme on the host and the nav.
+   * @private
+   */
+  _applyTheme() {
+    const theme = this._attr('theme');
+    [this, this._nav].forEach(el => {
+      if (theme) {
+        el.setAttribute('data-bs-theme', theme);
+      } else {
+        el.removeAttribute('data-bs-theme');
+      }
+    });
+  }
+
+  /**
+   * Returns the class of the inner container for a container type.
+   * @param {string} containerType
+   * @returns {string}
+   * @private
+   */
+  _containerClass(containerType) {
+    return containerType === 'standard' ? 'container' : `container-${containerType}`;
+  }
 }
 
 /**
@@ -107,34 +171,49 @@ class BsNavbar extends HTMLElement {
  * @element bs-navbar-brand
  * @attribute {string} [href] - If provided, the brand will be rendered as an <a> tag.
  */
-class BsNavbarBrand extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-  connectedCallback() {
-    if (this._initialized) return;
-    setTimeout(() => this._render(), 0);
+class BsNavbarBrand extends BsElement {
+  static get attributes() {
+    return {
+      href: { type: String }
+    };
   }
+
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-    const href = this.getAttribute('href');
     this.style.display = 'inline-block';
-    const el = href ? document.createElement('a') : document.createElement('span');
-    el.className = 'navbar-brand';
-    if (href) el.href = href;
+    const el = this._createElement();
 
     // Pass through classes from the host element to the underlying element
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      el.className += ` ${hostClasses}`;
-    }
+    this._passClasses(el);
     
     while (this.firstChild) {
       el.appendChild(this.firstChild);
     }
     this.appendChild(el);
+    this._brand = el;
+  }
+
+  _update() {
+    // Switching between a link and plain text needs a different element
+    const el = this._createElement();
+    el.className = this._brand.className;
+    while (this._brand.firstChild) {
+      el.appendChild(this._brand.firstChild);
+    }
+    this._brand.replaceWith(el);
+    this._brand = el;
+  }
+
+  /**
+   * Creates an <a> for brands with an href, a <span> otherwise.
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createElement() {
+    const href = this._attr('href');
+    const el = href ? document.createElement('a') : document.createElement('span');
+    el.className = 'navbar-brand';
+    if (href) el.href = href;
+    return el;
   }
 }
 
@@ -145,43 +224,50 @@ class BsNavbarBrand extends HTMLElement {
  * @attribute {boolean} [scroll] - If present, enables vertical scrolling in the collapsed navbar.
  * @attribute {string} [scroll-height] - The maximum height for the scrollable area (sets --bs-scroll-height).
  */
-class BsNavbarNav extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
+class BsNavbarNav extends BsElement {
+  static get attributes() {
+    return {
+      scroll: { type: Boolean },
+      'scroll-height': { type: String }
+    };
   }
-  connectedCallback() {
-    if (this._initialized) return;
-    setTimeout(() => this._render(), 0);
-  }
-  _render() {
-    if (this._initialized) return;
-    this._initialized = true;
 
+  _render() {
     this.style.display = 'block';
 
     const navElement = document.createElement('div');
     navElement.className = 'navbar-nav';
-
-    if (this.hasAttribute('scroll')) {
-      navElement.classList.add('navbar-nav-scroll');
-      const scrollHeight = this.getAttribute('scroll-height');
-      if (scrollHeight) {
-        navElement.style.setProperty('--bs-scroll-height', scrollHeight);
-      }
-    }
+    this._navElement = navElement;
+    this._applyScroll();
 
     // Pass through classes from the host element to the underlying element
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      navElement.className += ` ${hostClasses}`;
-    }
+    this._passClasses(navElement);
 
     while (this.firstChild) {
       navElement.appendChild(this.firstChild);
     }
     this.appendChild(navElement);
   }
+
+  _update() {
+    this._applyScroll();
+  }
+
+  /**
+   * Sets the scroll class and height.
+   * @private
+   */
+  _applyScroll() {
+    const scroll = this._attr('scroll');
+    const scrollHeight = this._attr('scroll-height');
+
+    this._navElement.classList.toggle('navbar-nav-scroll', scroll);
+    if (scroll && scrollHeight) {
+      this._navElement.style.setProperty('--bs-scroll-height', scrollHeight);
+    } else {
+      this._navElement.style.removeProperty('--bs-scroll-height');
+    }
+  }
 }
 
 /**
@@ -192,38 +278,28 @@ class BsNavbarNav extends HTMLElement {
  * @attribute {boolean} [active] - If present, the link is displayed as active.
  * @attribute {boolean} [disabled] - If present, the link is displayed as disabled.
  */
-class BsNavbarLink extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-  connectedCallback() {
-    if (this._initialized) return;
-    setTimeout(() => this._render(), 0);
+class BsNavbarLink extends BsElement {
+  static get attributes() {
+    return {
+      href: { type: String, default: '#' },
+      active: { type: Boolean },
+      disabled: { type: Boolean }
+    };
   }
-  _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-    const href = this.getAttribute('href') || '#';
-    const active = this.hasAttribute('active');
-    const disabled = this.hasAttribute('disabled');
 
+  _render() {
     this.style.display = 'block';
 
     const li = document.createElement('div');
     li.className = 'nav-item';
     
     // Pass through classes from the host element to the underlying element
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      li.className += ` ${hostClasses}`;
-    }
+    this._passClasses(li);
 
     const link = document.createElement('a');
-    link.className = `nav-link ${active ? 'active' : ''} ${disabled ? 'disabled' : ''}`.trim();
-    link.href = href;
-    if (active) link.setAttribute('aria-current', 'page');
-    if (disabled) link.setAttribute('aria-disabled', 'true');
+    link.className = 'nav-link';
+    this._link = link;
+    this._update();
 
     while (this.firstChild) {
       link.appendChild(this.firstChild);
@@ -231,6 +307,35 @@ class BsNavbarLink extends HTMLElement {
     li.appendChild(link);
     this.appendChild(li);
   }
+
+  _update() {
+    BsNavbarLink._applyLinkState(this._link, this._attr('href'), this._attr('active'), this._attr('disabled'));
+  }
+
+  /**
+   * Sets the href and the active and disabled state of a link.
+   * Shared with `<bs-navbar-dropdown-item>`.
+   * @param {HTMLAnchorElement} link
+   * @param {string} href
+   * @param {boolean} active
+   * @param {boolean} disabled
+   * @private
+   */
+  static _applyLinkState(link, href, active, disabled) {
+    link.href = href;
+    link.classList.toggle('active', active);
+    link.classList.toggle('disabled', disabled);
+    if (active) {
+      link.setAttribute('aria-current', 'page');
+    } else {
+      link.removeAttribute('aria-current');
+    }
+    if (disabled) {
+      link.setAttribute('aria-disabled', 'true');
+    } else {
+      link.removeAttribute('aria-disabled');
+    }
+  }
 }
 
 /**
@@ -241,21 +346,17 @@ class BsNavbarLink extends HTMLElement {
  * @attribute {boolean} [active] - If present, the dropdown is displayed as active.
  * @slot title - Custom HTML for the dropdown toggle.
  */
-class BsNavbarDropdown extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
+class BsNavbarDropdown extends BsElement {
+  static get attributes() {
+    return {
+      title: { type: String, default: '' },
+      active: { type: Boolean }
+    };
   }
-  connectedCallback() {
-    if (this._initialized) return;
-    setTimeout(() => this._render(), 0);
-  }
-  
+
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-    const title = this.getAttribute('title') || '';
-    const active = this.hasAttribute('active');
+    const title = this._attr('title');
+    const active = this._attr('active');
 
     this.style.display = 'block';
 
@@ -263,10 +364,7 @@ class BsNavbarDropdown extends HTMLElement {
     dropdownElement.className = 'nav-item dropdown';
     
     // Pass through classes from the host element to the underlying element
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      dropdownElement.className += ` ${hostClasses}`;
-    }
+    this._passClasses(dropdownElement);
     
     const link = document.createElement('a');
     link.className = `nav-link dropdown-toggle ${active ? 'active' : ''}`.trim();
@@ -274,9 +372,11 @@ class BsNavbarDropdown extends HTMLElement {
     link.setAttribute('role', 'button');
     link.setAttribute('data-bs-toggle', 'dropdown');
     link.setAttribute('aria-expanded', 'false');
+    this._link = link;
     
     // Support custom title slot
     const titleSlot = this.querySelector('[slot="title"]');
+    this._titleSlotted = !!titleSlot;
     if (titleSlot) {
       link.appendChild(titleSlot);
     } else {
@@ -287,7 +387,7 @@ class BsNavbarDropdown extends HTMLElement {
     menu.className = 'dropdown-menu';
 
     const children = Array.from(this.childNodes);
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(dropdownElement);
     dropdownElement.appendChild(link);
     dropdownElement.appendChild(menu);
@@ -312,6 +412,15 @@ class BsNavbarDropdown extends HTMLElement {
       }
     });
   }
+
+  _update(name) {
+    if (name === 'active') {
+      this._link.classList.toggle('active', this._attr('active'));
+    } else if (name === 'title' && !this._titleSlotted) {
+      // A title slot takes precedence over the attribute
+      this._link.textContent = this._attr('title');
+    }
+  }
 }
 
 /**
@@ -322,41 +431,35 @@ class BsNavbarDropdown extends HTMLElement {
  * @attribute {boolean} [active] - If present, the item is displayed as active.
  * @attribute {boolean} [disabled] - If present, the item is displayed as disabled.
  */
-class BsNavbarDropdownItem extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
+class BsNavbarDropdownItem extends BsElement {
+  static get attributes() {
+    return {
+      href: { type: String, default: '#' },
+      active: { type: Boolean },
+      disabled: { type: Boolean }
+    };
   }
-  connectedCallback() {
-    if (this._initialized) return;
-    setTimeout(() => this._render(), 0);
-  }
-  _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-    const href = this.getAttribute('href') || '#';
-    const active = this.hasAttribute('active');
-    const disabled = this.hasAttribute('disabled');
 
+  _render() {
     this.style.display = 'block';
 
     const link = document.createElement('a');
-    link.className = `dropdown-item ${active ? 'active' : ''} ${disabled ? 'disabled' : ''}`.trim();
-    link.href = href;
-    if (active) link.setAttribute('aria-current', 'page');
-    if (disabled) link.setAttribute('aria-disabled', 'true');
+    link.className = 'dropdown-item';
+    this._link = link;
+    this._update();
 
     // Pass through classes from the host element to the underlying element
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      link.className += ` ${hostClasses}`;
-    }
+    this._passClasses(link);
 
     while (this.firstChild) {
       link.appendChild(this.firstChild);
     }
     this.appendChild(link);
   }
+
+  _update() {
+    BsNavbarLink._applyLinkState(this._link, this._attr('href'), this._attr('active'), this._attr('disabled'));
+  }
 }
 
 /**
@@ -364,22 +467,13 @@ class BsNavbarDropdownItem extends HTMLElement {
  *
  * @element bs-navbar-dropdown-divider
  */
-class BsNavbarDropdownDivider extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-  connectedCallback() {
-    if (this._initialized) return;
-    this._initialized = true;
+class BsNavbarDropdownDivider extends BsElement {
+  _render() {
     const hr = document.createElement('hr');
     hr.className = 'dropdown-divider';
 
     // Pass through classes from the host element to the underlying element
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      hr.className += ` ${hostClasses}`;
-    }
+    this._passClasses(hr);
     this.appendChild(hr);
   }
 }
@@ -389,25 +483,15 @@ class BsNavbarDropdownDivider extends HTMLElement {
  *
  * @element bs-navbar-text
  */
-class BsNavbarText extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-  connectedCallback() {
-    if (this._initialized) return;
-    this._initialized = true;
-
+class BsNavbarText extends BsElement {
+  _render() {
     this.style.display = 'inline-block';
 
     const span = document.createElement('span');
     span.className = 'navbar-text';
 
     // Pass through classes from the host element to the underlying element
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      span.className += ` ${hostClasses}`;
-    }
+    this._passClasses(span);
 
     while (this.firstChild) {
       span.appendChild(this.firstChild);
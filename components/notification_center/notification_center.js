@@ -0,0 +1,555 @@
+/**
+ * A custom web component that keeps a history of the toasts shown on the page.
+ *
+ * It renders a bell button with a badge for the number of unread notifications,
+ * which opens the history in a dropdown menu or an offcanvas panel. Every toast
+ * shown through `<bs-toast>` or `BsToast.notify()` is recorded with its title,
+ * body text, variant and the time it was shown. Clicking an entry marks it as read.
+ *
+ * The history is stored in localStorage and shared by all centers with the same
+ * storage key, including those in other tabs. It is stored as plain text and
+ * always rendered as text.
+ *
+ * This component does not use Shadow DOM to ensure full compatibility with
+ * Bootstrap's global CSS. The dropdown and offcanvas are opened through
+ * Bootstrap's data attributes, so they require the Bootstrap JS bundle.
+ *
+ * @element bs-notification-center
+ * @attribute {string} [label='Notifications'] - The accessible name of the button and the title of the list.
+ * @attribute {string} [mode='dropdown'] - 'dropdown' or 'offcanvas'.
+ * @attribute {string} [storage-key=bs-notifications] - The localStorage key of the history.
+ * @attribute {boolean} [persist=true] - Set to "false" to keep the history in memory only.
+ * @attribute {number} [max-items=50] - How many notifications are kept; older ones are dropped.
+ *
+ * @example
+ * <bs-notification-center class="ms-auto" mode="offcanvas"></bs-notification-center>
+ */
+class BsNotificationCenter extends BsElement {
+  static get attributes() {
+    return {
+      label: { type: String, default: 'Notifications' },
+      mode: { type: String, default: 'dropdown' },
+      'storage-key': { type: String, default: 'bs-notifications' },
+      persist: { type: Boolean, default: true },
+      'max-items': { type: Number, default: 50 }
+    };
+  }
+
+  constructor() {
+    super();
+    /**
+     * The recorded notifications, newest first.
+     * @type {Array<{id: string, title: string, body: string, variant: string, timestamp: number, read: boolean}>}
+     */
+    this._items = [];
+    this._handleToastShown = this._handleToastShown.bind(this);
+    this._handleExternalChange = this._handleExternalChange.bind(this);
+  }
+
+  _disconnect() {
+    this._removeListeners();
+    this._disposePlugins();
+  }
+
+  _reconnect() {
+    // Notifications may have been recorded by other centers in the meantime
+    this._load();
+    this._renderItems();
+    this._addListeners();
+  }
+
+  _render() {
+    const centerId = this.id || `notification-center-${Math.random().toString(36).substr(2, 9)}`;
+    this._panelId = `${centerId}-panel`;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'notification-center';
+    this._passClasses(wrapper);
+    this._wrapper = wrapper;
+
+    // Bell button with the unread badge
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn position-relative';
+    button.setAttribute('aria-expanded', 'false');
+    button.appendChild(this._createIcon());
+    this._button = button;
+
+    const badge = document.createElement('span');
+    badge.className = 'position-absolute top-0 start-100 translate-middle badge rounded-pill text-bg-danger';
+    this._badge = badge;
+    button.appendChild(badge);
+
+    // Toolbar and list, shared by both modes
+    const toolbar = document.createElement('div');
+    toolbar.className = 'd-flex align-items-center gap-2 px-3 py-2 border-bottom';
+
+    const title = document.createElement('strong');
+    title.className = 'me-auto';
+    this._titleElement = title;
+
+    const markAllButton = this._createToolbarButton('Mark all read', () => this.markAllRead());
+    const clearButton = this._createToolbarButton('Clear all', () => this.clear());
+    toolbar.append(title, markAllButton, clearButton);
+    this._markAllButton = markAllButton;
+    this._clearButton = clearButton;
+
+    const list = document.createElement('div');
+    list.className = 'list-group list-group-flush overflow-auto';
+    list.style.maxHeight = '24rem';
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-notification-id]');
+      if (item) this.markRead(item.getAttribute('data-notification-id'));
+    });
+    this._list = list;
+
+    this._toolbar = toolbar;
+    this._buildPanel();
+
+    this.textContent = '';
+    this.appendChild(wrapper);
+
+    this._applyLabel();
+    this._load();
+    this._renderItems();
+    this._addListeners();
+  }
+
+  /**
+   * Updates the rendered center after an attribute change.
+   * @param {string} name
+   * @private
+   */
+  _update(name) {
+    switch (name) {
+      case 'label':
+        this._applyLabel();
+        break;
+      case 'mode':
+        this._buildPanel();
+        this._applyLabel();
+        break;
+      case 'storage-key':
+      case 'persist':
+        this._load();
+        this._renderItems();
+        break;
+      case 'max-items':
+        this._trim();
+        this._save();
+        this._renderItems();
+        break;
+    }
+  }
+
+  /**
+   * The recorded notifications, newest first.
+   * @returns {Array<{id: string, title: string, body: string, variant: string, timestamp: number, read: boolean}>}
+   */
+  get items() {
+    return this._items.map(item => ({ ...item }));
+  }
+
+  /**
+   * The number of unread notifications.
+   * @returns {number}
+   */
+  get unreadCount() {
+    return this._items.filter(item => !item.read).length;
+  }
+
+  /**
+   * Records a notification that was not shown as a toast.
+   * @param {Object} notification
+   * @param {string} [notification.title]
+   * @param {string} [notification.body]
+   * @param {string} [notification.variant]
+   * @returns {string} The id of the new entry.
+   */
+  add({ title = '', body = '', variant = '' } = {}) {
+    return this._record({ id: this._createId(), title, body, variant, timestamp: Date.now(), read: false });
+  }
+
+  /**
+   * Marks a notification as read.
+   * @param {string} id
+   */
+  markRead(id) {
+    this._initialize();
+    const item = this._items.find(entry => entry.id === id);
+    if (!item || item.read) return;
+    item.read = true;
+    this._commit();
+  }
+
+  /**
+   * Marks all notifications as read.
+   */
+  markAllRead() {
+    this._initialize();
+    if (!this.unreadCount) return;
+    this._items.forEach(item => {
+      item.read = true;
+    });
+    this._commit();
+  }
+
+  /**
+   * Removes all notifications from the history.
+   */
+  clear() {
+    this._initialize();
+    this._items = [];
+    this._commit();
+  }
+
+  /**
+   * Records a toast when it has been shown.
+   * @param {Event} e
+   * @private
+   */
+  _handleToastShown(e) {
+    const toast = e.target.closest('bs-toast');
+    if (!toast) return;
+
+    // Centers that share a storage key receive the same event; they share the entry too.
+    // The copies of a broadcast toast in other tabs share its broadcast id.
+    let id = toast.broadcastId || BsNotificationCenter._eventIds.get(e);
+    if (!id) {
+      id = this._createId();
+      BsNotificationCenter._eventIds.set(e, id);
+    }
+    if (this._items.some(item => item.id === id)) return;
+
+    this._record({ id, ...this._describe(toast), timestamp: Date.now(), read: false });
+  }
+
+  /**
+   * Reads the title, body text and variant of a toast.
+   * @param {BsToast} toast
+   * @returns {{title: string, body: string, variant: string}}
+   * @private
+   */
+  _describe(toast) {
+    const text = (element) => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+    const header = toast.querySelector('.toast-header');
+    // The rendered title, which is also plain text in html mode
+    const title = text(header && header.querySelector('.me-auto'));
+
+    // The body without the action buttons
+    const body = Array.from(toast.querySelectorAll('.toast-body')).map(bodyElement => {
+      const clone = bodyElement.cloneNode(true);
+      clone.querySelectorAll('.toast-actions').forEach(actions => actions.remove());
+      return text(clone);
+    }).filter(Boolean).join(' ');
+
+    return { title, body, variant: toast.getAttribute('variant') || '' };
+  }
+
+  /**
+   * Adds an entry to the top of the history.
+   * @param {Object} item
+   * @returns {string} The id of the entry.
+   * @private
+   */
+  _record(item) {
+    this._initialize();
+    this._items.unshift(item);
+    this._trim();
+    this._commit();
+    return item.id;
+  }
+
+  /**
+   * Saves and renders the history and tells the other centers on the page.
+   * @private
+   */
+  _commit() {
+    this._save();
+    this._renderItems();
+
+    if (this._attr('persist')) {
+      window.dispatchEvent(new CustomEvent('bs-notifications-change', {
+        detail: { storageKey: this._attr('storage-key'), source: this }
+      }));
+    }
+  }
+
+  _trim() {
+    this._items.length = Math.min(this._items.length, Math.max(0, this._attr('max-items')));
+  }
+
+  /**
+   * Reads the history from localStorage.
+   * @private
+   */
+  _load() {
+    if (!this._attr('persist')) return;
+
+    let items;
+    try {
+      items = JSON.parse(localStorage.getItem(this._attr('storage-key')));
+    } catch (e) {
+      items = null;
+    }
+    this._items = Array.isArray(items) ? items.filter(item => item && typeof item.id === 'string') : [];
+    this._trim();
+  }
+
+  /**
+   * Writes the history to localStorage.
+   * @private
+   */
+  _save() {
+    if (!this._attr('persist')) return;
+
+    try {
+      localStorage.setItem(this._attr('storage-key'), JSON.stringify(this._items));
+    } catch (e) {
+      // Storage is full or unavailable; the history is kept in memory
+    }
+  }
+
+  _addListeners() {
+    document.addEventListener('shown.bs.toast', this._handleToastShown);
+
+    // Sync with other centers via storage and custom events
+    window.addEventListener('storage', this._handleExternalChange);
+    window.addEventListener('bs-notifications-change', this._handleExternalChange);
+  }
+
+  _removeListeners() {
+    document.removeEventListener('shown.bs.toast', this._handleToastShown);
+    window.removeEventListener('storage', this._handleExternalChange);
+    window.removeEventListener('bs-notifications-change', this._handleExternalChange);
+  }
+
+  _handleExternalChange(e) {
+    if (!this._attr('persist')) return;
+    const storageKey = this._attr('storage-key');
+
+    if (e.type === 'storage') {
+      if (e.key !== storageKey && e.key !== null) return;
+    } else if (e.detail.storageKey !== storageKey || e.detail.source === this) {
+      return;
+    }
+    this._load();
+    this._renderItems();
+  }
+
+  /**
+   * Builds the dropdown menu or offcanvas panel for the current mode.
+   * @private
+   */
+  _buildPanel() {
+    const button = this._button;
+    const panelId = this._panelId;
+
+    if (this._panel) {
+      this._disposePlugins();
+      this._panel.remove();
+    }
+
+    let panel;
+    if (this._attr('mode') === 'offcanvas') {
+      this._wrapper.classList.remove('dropdown');
+
+      panel = document.createElement('div');
+      panel.className = 'offcanvas offcanvas-end';
+      panel.id = panelId;
+      panel.setAttribute('tabindex', '-1');
+      panel.setAttribute('aria-labelledby', `${panelId}-label`);
+
+      const header = document.createElement('div');
+      header.className = 'offcanvas-header border-bottom';
+
+      const heading = document.createElement('h5');
+      heading.className = 'offcanvas-title';
+      heading.id = `${panelId}-label`;
+      this._headingElement = heading;
+
+      const closeBtn = document.createElement('button');
+      closeBtn.type = 'button';
+      closeBtn.className = 'btn-close';
+      closeBtn.setAttribute('data-bs-dismiss', 'offcanvas');
+      closeBtn.setAttribute('aria-label', 'Close');
+      header.append(heading, closeBtn);
+
+      const body = document.createElement('div');
+      body.className = 'offcanvas-body p-0';
+      body.append(this._toolbar, this._list);
+      panel.append(header, body);
+
+      // The offcanvas has its own heading
+      this._titleElement.classList.add('visually-hidden');
+
+      button.setAttribute('data-bs-toggle', 'offcanvas');
+      button.setAttribute('data-bs-target', `#${panelId}`);
+      button.setAttribute('aria-controls', panelId);
+      button.removeAttribute('data-bs-auto-close');
+    } else {
+      this._wrapper.classList.add('dropdown');
+      this._headingElement = null;
+
+      panel = document.createElement('div');
+      panel.className = 'dropdown-menu dropdown-menu-end p-0';
+      panel.id = panelId;
+      panel.style.width = '22rem';
+      panel.append(this._toolbar, this._list);
+
+      this._titleElement.classList.remove('visually-hidden');
+
+      button.setAttribute('data-bs-toggle', 'dropdown');
+      // Keep the menu open while the user marks notifications as read
+      button.setAttribute('data-bs-auto-close', 'outside');
+      button.removeAttribute('data-bs-target');
+      button.setAttribute('aria-controls', panelId);
+    }
+
+    this._panel = panel;
+    this._wrapper.append(button, panel);
+  }
+
+  /**
+   * Disposes of the dropdown or offcanvas instance that Bootstrap's data API
+   * created for the panel.
+   * @private
+   */
+  _disposePlugins() {
+    [['Dropdown', this._button], ['Offcanvas', this._panel]].forEach(([name, element]) => {
+      const Plugin = BsCore.plugin(name);
+      const instance = Plugin && Plugin.getInstance(element);
+      if (instance) instance.dispose();
+    });
+  }
+
+  _applyLabel() {
+    const label = this._attr('label');
+    this._titleElement.textContent = label;
+    if (this._headingElement) {
+      this._headingElement.textContent = label;
+    }
+    this._renderBadge();
+  }
+
+  /**
+   * Updates the badge and the accessible name of the button.
+   * @private
+   */
+  _renderBadge() {
+    const unread = this.unreadCount;
+    const label = this._attr('label');
+    this._badge.textContent = unread > 99 ? '99+' : String(unread);
+    this._badge.classList.toggle('d-none', unread === 0);
+    this._button.setAttribute('aria-label', unread ? `${label} (${unread} unread)` : label);
+  }
+
+  /**
+   * Renders the list of notifications and the badge.
+   * @private
+   */
+  _renderItems() {
+    this._list.replaceChildren(...this._items.map(item => this._createItem(item)));
+
+    if (!this._items.length) {
+      const empty = document.createElement('div');
+      empty.className = 'list-group-item text-body-secondary text-center py-4';
+      empty.textContent = 'No notifications';
+      this._list.appendChild(empty);
+    }
+
+    this._markAllButton.disabled = !this.unreadCount;
+    this._clearButton.disabled = !this._items.length;
+    this._renderBadge();
+  }
+
+  /**
+   * Creates the list entry of a notification.
+   * @param {{id: string, title: string, body: string, variant: string, timestamp: number, read: boolean}} item
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createItem(item) {
+    const entry = document.createElement('button');
+    entry.type = 'button';
+    entry.className = 'list-group-item list-group-item-action d-flex gap-2 align-items-start';
+    entry.setAttribute('data-notification-id', item.id);
+    if (!item.read) {
+      entry.classList.add('fw-semibold');
+    }
+
+    const dot = document.createElement('span');
+    dot.className = `badge rounded-circle p-1 mt-2 text-bg-${item.variant || 'primary'}`;
+    dot.style.visibility = item.read ? 'hidden' : '';
+    dot.setAttribute('aria-hidden', 'true');
+    dot.textContent = ' ';
+
+    const content = document.createElement('div');
+    content.className = 'flex-grow-1 text-break';
+
+    const heading = document.createElement('div');
+    heading.className = 'd-flex gap-2';
+    const title = document.createElement('span');
+    title.className = 'me-auto';
+    title.textContent = item.title;
+    const time = document.createElement('small');
+    time.className = 'text-body-secondary text-nowrap fw-normal';
+    time.textContent = new Date(item.timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+    heading.append(title, time);
+
+    const body = document.createElement('div');
+    body.className = 'small';
+    body.textContent = item.body;
+
+    content.append(heading, body);
+    entry.append(dot, content);
+
+    if (!item.read) {
+      const status = document.createElement('span');
+      status.className = 'visually-hidden';
+      status.textContent = '(unread)';
+      entry.appendChild(status);
+    }
+    return entry;
+  }
+
+  _createToolbarButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-link btn-sm p-0 text-decoration-none';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  _createIcon() {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('width', '20');
+    svg.setAttribute('height', '20');
+    svg.setAttribute('fill', 'currentColor');
+    svg.setAttribute('class', 'bi bi-bell-fill');
+    svg.setAttribute('viewBox', '0 0 16 16');
+    svg.setAttribute('aria-hidden', 'true');
+    const path = document.createElementNS(svgNS, 'path');
+    path.setAttribute('d', 'M8 16a2 2 0 0 0 2-2H6a2 2 0 0 0 2 2m.995-14.901a1 1 0 1 0-1.99 0A5 5 0 0 0 3 6c0 1.098-.5 6-2 7h14c-1.5-1-2-5.902-2-7 0-2.42-1.72-4.44-4.005-4.901');
+    svg.appendChild(path);
+    return svg;
+  }
+
+  _createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+/**
+ * The entry ids of recorded `shown.bs.toast` events, so that centers sharing a
+ * storage key record each toast once.
+ * @type {WeakMap<Event, string>}
+ * @private
+ */
+BsNotificationCenter._eventIds = new WeakMap();
+
+if (!customElements.get('bs-notification-center')) {
+  customElements.define('bs-notification-center', BsNotificationCenter);
+}
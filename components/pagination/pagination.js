@@ -11,58 +11,33 @@
  *
  * @slot - Content containing <bs-pagination-item> elements.
  */
-class BsPagination extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+class BsPagination extends BsElement {
+  static get attributes() {
+    return {
+      'aria-label': { type: String, default: 'Page navigation' },
+      size: { type: String },
+      alignment: { type: String }
+    };
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const ariaLabel = this.getAttribute('aria-label') || 'Page navigation';
-    const size = this.getAttribute('size');
-    const alignment = this.getAttribute('alignment');
-
     // Capture children
     const items = Array.from(this.querySelectorAll('bs-pagination-item'));
     
     // Clear the element
-    this.innerHTML = '';
+    this.textContent = '';
 
     const nav = document.createElement('nav');
-    nav.setAttribute('aria-label', ariaLabel);
+    nav.setAttribute('aria-label', this._attr('aria-label'));
+    this._nav = nav;
 
     // Pass through classes from the host element to the underlying nav
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      nav.className += ` ${hostClasses}`;
-    }
+    this._passClasses(nav);
 
     const ul = document.createElement('ul');
     ul.className = 'pagination';
-    
-    if (size === 'sm') {
-      ul.classList.add('pagination-sm');
-    } else if (size === 'lg') {
-      ul.classList.add('pagination-lg');
-    }
-
-    if (alignment === 'center') {
-      ul.classList.add('justify-content-center');
-    } else if (alignment === 'end') {
-      ul.classList.add('justify-content-end');
-    }
+    this._list = ul;
+    this._applyLayout();
 
     items.forEach((item) => {
       const li = document.createElement('li');
@@ -112,6 +87,38 @@ class BsPagination extends HTMLElement {
     nav.appendChild(ul);
     this.appendChild(nav);
   }
+
+  _update(name) {
+    if (name === 'aria-label') {
+      this._nav.setAttribute('aria-label', this._attr('aria-label'));
+    } else {
+      this._applyLayout();
+    }
+  }
+
+  /**
+   * Sets the size and alignment classes of the list.
+   * @private
+   */
+  _applyLayout() {
+    const ul = this._list;
+    const size = this._attr('size');
+    const alignment = this._attr('alignment');
+
+    ul.classList.remove('pagination-sm', 'pagination-lg', 'justify-content-center', 'justify-content-end');
+
+    if (size === 'sm') {
+      ul.classList.add('pagination-sm');
+    } else if (size === 'lg') {
+      ul.classList.add('pagination-lg');
+    }
+
+    if (alignment === 'center') {
+      ul.classList.add('justify-content-center');
+    } else if (alignment === 'end') {
+      ul.classList.add('justify-content-end');
+    }
+  }
 }
 
 /**
@@ -11,30 +11,23 @@
  * @attribute {string} [variant] - Theme color: 'primary', 'success', etc.
  * @attribute {string} [animation] - Animation style: 'glow' or 'wave'.
  */
-class BsPlaceholder extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+class BsPlaceholder extends BsElement {
+  static get attributes() {
+    return {
+      col: { type: String },
+      width: { type: String },
+      size: { type: String },
+      variant: { type: String },
+      animation: { type: String }
+    };
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const col = this.getAttribute('col');
-    const width = this.getAttribute('width');
-    const size = this.getAttribute('size');
-    const variant = this.getAttribute('variant');
-    const animation = this.getAttribute('animation');
+    const col = this._attr('col');
+    const width = this._attr('width');
+    const size = this._attr('size');
+    const variant = this._attr('variant');
+    const animation = this._attr('animation');
     const hostClasses = this.getAttribute('class');
 
     // To avoid the host collapsing when children use percentage widths,
@@ -52,6 +45,7 @@ class BsPlaceholder extends HTMLElement {
     if (animation) {
       wrapper.className = `placeholder-${animation}`;
     }
+    this._wrapper = wrapper;
 
     // Pass through classes from the host element to the underlying wrapper
     // per guidelines, but filter out width-related classes that we want 
@@ -64,8 +58,9 @@ class BsPlaceholder extends HTMLElement {
     }
 
     const span = document.createElement('span');
-    span.innerHTML = '&nbsp;';
+    span.textContent = '\u00a0';
     span.classList.add('placeholder');
+    this._placeholder = span;
     
     // The inner span should always fill its container (the host/wrapper)
     // to ensure the placeholder is visible and respects the layout.
@@ -75,10 +70,33 @@ class BsPlaceholder extends HTMLElement {
     if (variant) span.classList.add(`bg-${variant}`);
     
     wrapper.appendChild(span);
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(wrapper);
   }
 
+  _update(name, oldValue) {
+    const oldAttr = this._attr(name, oldValue);
+    const attr = this._attr(name);
+
+    switch (name) {
+      case 'col':
+        this._replaceClass(this, oldAttr && `col-${oldAttr}`, attr && `col-${attr}`);
+        break;
+      case 'width':
+        this.style.width = attr || '';
+        break;
+      case 'size':
+        this._replaceClass(this._placeholder, oldAttr && `placeholder-${oldAttr}`, attr && `placeholder-${attr}`);
+        break;
+      case 'variant':
+        this._replaceClass(this._placeholder, oldAttr && `bg-${oldAttr}`, attr && `bg-${attr}`);
+        break;
+      case 'animation':
+        this._replaceClass(this._wrapper, oldAttr && `placeholder-${oldAttr}`, attr && `placeholder-${attr}`);
+        break;
+    }
+  }
+
   /**
    * Replaces the content of the given element with placeholders that match the size 
    * of the original content as closely as possible.
@@ -124,7 +142,8 @@ class BsPlaceholder extends HTMLElement {
 
       // Save original content if not already saved
       if (!target.hasAttribute('data-original-content')) {
-        target.setAttribute('data-original-content', target.innerHTML);
+        target.setAttribute('data-original-content', '');
+        BsPlaceholder._originalContent.set(target, Array.from(target.childNodes));
         if (isButton) {
           target.setAttribute('data-original-classes', target.className);
           if (target.tagName === 'BUTTON' && target.disabled) {
@@ -136,7 +155,7 @@ class BsPlaceholder extends HTMLElement {
       }
 
       // Clear content
-      target.innerHTML = '';
+      target.textContent = '';
       target.classList.add(`placeholder-${animation}`);
 
       if (isButton) {
@@ -151,7 +170,7 @@ class BsPlaceholder extends HTMLElement {
         const ph = document.createElement('span');
         ph.className = 'placeholder';
         ph.style.width = `${rect.width}px`;
-        ph.innerHTML = '&nbsp;';
+        ph.textContent = '\u00a0';
         if (variant) ph.classList.add(`bg-${variant}`);
         target.appendChild(ph);
       }
@@ -166,7 +185,8 @@ class BsPlaceholder extends HTMLElement {
     // Restore text elements and buttons
     const textTargets = element.querySelectorAll('[data-original-content]');
     textTargets.forEach(target => {
-      target.innerHTML = target.getAttribute('data-original-content');
+      target.replaceChildren(...(BsPlaceholder._originalContent.get(target) || []));
+      BsPlaceholder._originalContent.delete(target);
       target.removeAttribute('data-original-content');
       
       if (target.hasAttribute('data-original-classes')) {
@@ -205,6 +225,13 @@ class BsPlaceholder extends HTMLElement {
 }
 
 // Define the custom element
+/**
+ * The original child nodes of placeholderized elements, restored by `restore()`.
+ * @type {WeakMap<HTMLElement, Node[]>}
+ * @private
+ */
+BsPlaceholder._originalContent = new WeakMap();
+
 if (!customElements.get('bs-placeholder')) {
   customElements.define('bs-placeholder', BsPlaceholder);
 }
@@ -0,0 +1,337 @@
+/**
+ * A custom web component for a Bootstrap popover.
+ *
+ * This component wraps its content and attaches a Bootstrap popover to itself.
+ * It does not use Shadow DOM to ensure full compatibility with Bootstrap's global CSS.
+ *
+ * Popovers with the click trigger, including those created with the static
+ * methods, are closed when the user clicks outside of them.
+ *
+ * @element bs-popover
+ * @attribute {string} [title] - The popover header (or use data-bs-title).
+ * @attribute {string} [content] - The popover body text (overridden by the content slot).
+ * @attribute {string} [placement=right] - 'top', 'bottom', 'left', 'right', 'auto'.
+ * @attribute {boolean} [animation=true] - Whether to animate the popover.
+ * @attribute {string|object} [delay=0] - Delay in ms, or object {show: 500, hide: 100}.
+ * @attribute {boolean} [html] - If present, allows HTML in the title and content attributes. It is
+ *   sanitized by Bootstrap using the allow list and sanitizeFn of `BsCore.sanitizer`. Without it, the
+ *   title is text, also next to a content slot.
+ * @attribute {string} [trigger=click] - 'click', 'hover', 'focus', 'manual'.
+ * @attribute {string} [custom-class] - Custom class for the popover.
+ * @attribute {string|array} [offset=[0, 8]] - Offset of the popover relative to its target.
+ *
+ * @slot content - Rich content for the popover body. It is moved into the popover as it is, without sanitizing.
+ * @slot - The element that toggles the popover.
+ *
+ * @example
+ * <bs-popover title="Shortcuts">
+ *   <button class="btn btn-secondary">Help</button>
+ *   <div slot="content"><kbd>Ctrl</kbd> + <kbd>K</kbd> opens the search.</div>
+ * </bs-popover>
+ */
+class BsPopover extends BsElement {
+  static get attributes() {
+    return {
+      title: { type: String, default: '' },
+      'data-bs-title': { type: String },
+      content: { type: String, default: '' },
+      placement: { type: String, default: 'right' },
+      animation: { type: Boolean, default: true },
+      delay: { type: String, default: 0 },
+      html: { type: Boolean },
+      trigger: { type: String, default: 'click' },
+      'custom-class': { type: String, default: '' },
+      offset: { type: String, default: [0, 8] }
+    };
+  }
+
+  constructor() {
+    super();
+    this.popover = null;
+  }
+
+  _disconnect() {
+    this.dispose();
+  }
+
+  _reconnect() {
+    this._createPopover();
+  }
+
+  _render() {
+    this.style.display = 'inline-block';
+
+    const wrapper = document.createElement('div');
+    wrapper.style.display = 'inline-block';
+
+    // Pass through classes from the host element to the underlying div
+    this._passClasses(wrapper);
+
+    // The content slot is kept aside and placed in the popover body when shown
+    const slotted = Array.from(this.children).filter(child => child.getAttribute('slot') === 'content');
+    if (slotted.length) {
+      const content = document.createElement('div');
+      slotted.forEach(child => {
+        child.removeAttribute('slot');
+        content.appendChild(child);
+      });
+      this._contentElement = content;
+    } else {
+      this._contentElement = null;
+    }
+
+    // Move the remaining children to the wrapper
+    while (this.firstChild) {
+      wrapper.appendChild(this.firstChild);
+    }
+    this.appendChild(wrapper);
+    this._wrapper = wrapper;
+
+    this._createPopover();
+  }
+
+  _update(name) {
+    if (['title', 'data-bs-title', 'content'].includes(name)) {
+      if (this.popover) this.popover.setContent(this._content());
+      return;
+    }
+    // Other options are read once by Bootstrap, so the instance is rebuilt
+    if (this.popover) this.reinit();
+  }
+
+  /**
+   * Creates the Bootstrap popover on the wrapper once Bootstrap is available
+   * (there is no built-in fallback for popovers).
+   * @private
+   */
+  _createPopover() {
+    const wrapper = this._wrapper;
+    BsCore.whenPlugin('Popover', (Popover) => {
+      if (this.popover || !this.isConnected || wrapper.parentNode !== this) return;
+      const { '.popover-header': title, '.popover-body': content } = this._content();
+      BsPopover._triggers.set(wrapper, this._attr('trigger'));
+      this.popover = new Popover(wrapper, {
+        title,
+        content,
+        placement: this._attr('placement'),
+        animation: this._attr('animation'),
+        delay: this._attr('delay'),
+        // Slotted content is an element, which Bootstrap only inserts as such in html mode
+        html: this._attr('html') || !!this._contentElement,
+        trigger: this._attr('trigger'),
+        customClass: this._attr('custom-class'),
+        offset: this._attr('offset'),
+        allowList: BsCore.sanitizer.allowList,
+        sanitizeFn: BsCore.sanitizer.sanitizeFn
+      });
+    });
+  }
+
+  /**
+   * @returns {{'.popover-header': (string|Text), '.popover-body': (string|HTMLElement)}} The popover
+   *   header, preferring data-bs-title, and body, preferring the content slot.
+   * @private
+   */
+  _content() {
+    const title = this._attr('data-bs-title') || this._attr('title');
+    return {
+      // The content slot turns on html mode; without the html attribute the title stays text
+      '.popover-header': title && this._contentElement && !this._attr('html') ? document.createTextNode(title) : title,
+      '.popover-body': this._contentElement || this._attr('content')
+    };
+  }
+
+  /**
+   * Shows the popover.
+   */
+  show() {
+    if (this.popover) this.popover.show();
+  }
+
+  /**
+   * Hides the popover.
+   */
+  hide() {
+    if (this.popover) this.popover.hide();
+  }
+
+  /**
+   * Toggles the popover.
+   */
+  toggle() {
+    if (this.popover) this.popover.toggle();
+  }
+
+  /**
+   * Updates the popover position.
+   */
+  update() {
+    if (this.popover) this.popover.update();
+  }
+
+  /**
+   * Disposes of the popover.
+   */
+  dispose() {
+    if (this.popover) {
+      BsCore.disposeTip(this.popover);
+      this.popover = null;
+    }
+  }
+
+  /**
+   * Re-initializes the popover with current attributes.
+   */
+  reinit() {
+    this.dispose();
+    if (this._initialized) {
+      this._createPopover();
+    } else {
+      this._initialize();
+    }
+  }
+
+  // --- Static Management System ---
+
+  /**
+   * Initializes a popover on any element.
+   * @param {HTMLElement|string} element
+   * @param {Object} options
+   * @returns {bootstrap.Popover}
+   */
+  static init(element, options = {}) {
+    const Popover = BsCore.plugin('Popover');
+    if (!Popover) return null;
+    const el = typeof element === 'string' ? document.querySelector(element) : element;
+    if (!el) return null;
+    if (!Popover.getInstance(el)) {
+      BsPopover._triggers.set(el, options.trigger);
+    }
+    return Popover.getOrCreateInstance(el, options);
+  }
+
+  /**
+   * Disposes of a popover on any element.
+   * @param {HTMLElement|string} element
+   */
+  static dispose(element) {
+    const Popover = BsCore.plugin('Popover');
+    if (!Popover) return;
+    const el = typeof element === 'string' ? document.querySelector(element) : element;
+    if (!el) return;
+    const instance = Popover.getInstance(el);
+    if (instance) {
+      BsCore.disposeTip(instance);
+    }
+  }
+
+  /**
+   * Re-initializes a popover on any element.
+   * @param {HTMLElement|string} element
+   * @returns {bootstrap.Popover}
+   */
+  static reinit(element) {
+    if (!BsCore.plugin('Popover')) return null;
+    const el = typeof element === 'string' ? document.querySelector(element) : element;
+    if (!el) return null;
+
+    this.dispose(el);
+    return this.init(el);
+  }
+
+  /**
+   * Initializes all popovers in a container that have data-bs-toggle="popover".
+   * Also re-initializes all <bs-popover> components.
+   * If Bootstrap has not loaded yet, this runs as soon as it does.
+   * @param {HTMLElement} container
+   */
+  static initAll(container = document.body) {
+    const Popover = BsCore.plugin('Popover');
+    if (!Popover) {
+      BsCore.whenPlugin('Popover', () => this.initAll(container));
+      return;
+    }
+
+    // Standard elements
+    const triggers = container.querySelectorAll('[data-bs-toggle="popover"]');
+    triggers.forEach(el => {
+      Popover.getOrCreateInstance(el);
+    });
+
+    // Custom components
+    const components = container.querySelectorAll('bs-popover');
+    components.forEach(comp => {
+      if (comp.reinit) {
+        comp.reinit();
+      }
+    });
+  }
+
+  /**
+   * Disposes of all popovers in a container.
+   * @param {HTMLElement} container
+   */
+  static disposeAll(container = document.body) {
+    if (!BsCore.plugin('Popover')) return;
+
+    const triggers = container.querySelectorAll('[data-bs-toggle="popover"]');
+    triggers.forEach(el => {
+      this.dispose(el);
+    });
+
+    const components = container.querySelectorAll('bs-popover');
+    components.forEach(comp => {
+      if (comp.dispose) comp.dispose();
+    });
+  }
+
+  /**
+   * Closes the open click-triggered popovers when the user clicks outside of
+   * them and their trigger.
+   * @param {MouseEvent} e
+   * @private
+   */
+  static _handleOutsideClick(e) {
+    const Popover = BsCore.plugin('Popover');
+    if (!Popover || !(e.target instanceof Element)) return;
+
+    BsPopover._open.forEach(trigger => {
+      const instance = Popover.getInstance(trigger);
+      if (!instance || !trigger.isConnected) {
+        BsPopover._open.delete(trigger);
+        return;
+      }
+
+      // Popovers created elsewhere use the data attribute or Bootstrap's default
+      const triggers = (BsPopover._triggers.get(trigger) || trigger.getAttribute('data-bs-trigger') || 'click').split(' ');
+      const tipId = trigger.getAttribute('aria-describedby');
+      const tip = tipId && document.getElementById(tipId);
+      if (!triggers.includes('click') || trigger.contains(e.target) || (tip && tip.contains(e.target))) return;
+
+      instance.hide();
+    });
+  }
+}
+
+/**
+ * The triggers of the popovers that are currently shown.
+ * @type {Set<HTMLElement>}
+ * @private
+ */
+BsPopover._open = new Set();
+
+/**
+ * The trigger option of the popovers created by this component or `init()`.
+ * @type {WeakMap<HTMLElement, string|undefined>}
+ * @private
+ */
+BsPopover._triggers = new WeakMap();
+
+document.addEventListener('shown.bs.popover', (e) => BsPopover._open.add(e.target));
+document.addEventListener('hidden.bs.popover', (e) => BsPopover._open.delete(e.target));
+document.addEventListener('click', BsPopover._handleOutsideClick);
+
+// Define the custom element
+if (!customElements.get('bs-popover')) {
+  customElements.define('bs-popover', BsPopover);
+}
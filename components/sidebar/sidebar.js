@@ -13,50 +13,39 @@
  * @attribute {string} [title] - The title shown in the offcanvas header.
  * @slot title - Custom HTML for the offcanvas title.
  */
-class BsSidebar extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-    setTimeout(() => this._render(), 0);
+class BsSidebar extends BsElement {
+  static get attributes() {
+    return {
+      expand: { type: String },
+      background: { type: String, default: 'body-tertiary' },
+      theme: { type: String },
+      placement: { type: String, default: 'start' },
+      'navbar-placement': { type: String },
+      container: { type: String, default: 'fluid' },
+      title: { type: String, default: '' }
+    };
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const expandAttr = this.getAttribute('expand');
-    const background = this.getAttribute('background') || 'body-tertiary';
-    const theme = this.getAttribute('theme');
-    const placement = this.getAttribute('placement') || 'start';
-    const navbarPlacement = this.getAttribute('navbar-placement');
-    const containerType = this.getAttribute('container') || 'fluid';
-    const title = this.getAttribute('title') || '';
+    const placement = this._attr('placement');
+    const navbarPlacement = this._attr('navbar-placement');
+    const containerType = this._attr('container');
+    const title = this._attr('title');
     const sidebarId = this.id || `sidebar-${Math.random().toString(36).substr(2, 9)}`;
     const offcanvasId = `${sidebarId}-offcanvas`;
     
     this.style.display = 'block';
-    if (theme) this.setAttribute('data-bs-theme', theme);
 
     const nav = document.createElement('nav');
-    let expandClass = '';
-    if (expandAttr === 'always') {
-      expandClass = 'navbar-expand';
-    } else if (expandAttr && expandAttr !== 'none' && expandAttr !== 'false') {
-      expandClass = `navbar-expand-${expandAttr}`;
-    }
-    
-    nav.className = `navbar ${expandClass} bg-${background}`.trim();
-    if (theme) nav.setAttribute('data-bs-theme', theme);
+    nav.className = `navbar bg-${this._attr('background')}`;
     if (navbarPlacement) {
       nav.classList.add(navbarPlacement);
     }
+    this._nav = nav;
 
     const container = document.createElement('div');
     container.className = containerType === 'standard' ? 'container' : `container-${containerType}`;
+    this._container = container;
 
     // Toggler
     const toggler = document.createElement('button');
@@ -66,19 +55,19 @@ class BsSidebar extends HTMLElement {
     toggler.setAttribute('data-bs-target', `#${offcanvasId}`);
     toggler.setAttribute('aria-controls', offcanvasId);
     toggler.setAttribute('aria-label', 'Toggle navigation');
-    toggler.innerHTML = '<span class="navbar-toggler-icon"></span>';
+    const togglerIcon = document.createElement('span');
+    togglerIcon.className = 'navbar-toggler-icon';
+    toggler.appendChild(togglerIcon);
 
     // Offcanvas
     const offcanvas = document.createElement('div');
-    const offcanvasBaseClass = (expandAttr && expandAttr !== 'none' && expandAttr !== 'false' && expandAttr !== 'always') 
-      ? `offcanvas-${expandAttr}` 
-      : 'offcanvas';
-    
-    offcanvas.className = `${offcanvasBaseClass} offcanvas-${placement}`;
+    offcanvas.className = `offcanvas-${placement}`;
     offcanvas.id = offcanvasId;
     offcanvas.setAttribute('tabindex', '-1');
     offcanvas.setAttribute('aria-labelledby', `${offcanvasId}Label`);
-    if (theme) offcanvas.setAttribute('data-bs-theme', theme);
+    this._offcanvas = offcanvas;
+    this._applyExpand();
+    this._applyTheme();
 
     // Offcanvas Header
     const header = document.createElement('div');
@@ -88,6 +77,7 @@ class BsSidebar extends HTMLElement {
     h5.className = 'offcanvas-title';
     h5.id = `${offcanvasId}Label`;
     h5.textContent = title;
+    this._title = h5;
     
     const closeBtn = document.createElement('button');
     closeBtn.type = 'button';
@@ -107,7 +97,7 @@ class BsSidebar extends HTMLElement {
 
     // Capture children
     const children = Array.from(this.childNodes);
-    this.innerHTML = '';
+    this.textContent = '';
 
     // Distribute children
     children.forEach(child => {
@@ -123,8 +113,9 @@ class BsSidebar extends HTMLElement {
       child.nodeType === Node.ELEMENT_NODE && child.getAttribute('slot') === 'title'
     );
 
+    this._titleSlotted = !!titleSlot;
     if (titleSlot) {
-      h5.innerHTML = '';
+      h5.textContent = '';
       h5.appendChild(titleSlot);
     }
 
@@ -149,9 +140,8 @@ class BsSidebar extends HTMLElement {
         wrapper.setAttribute(attr.name, attr.value);
       }
     });
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      wrapper.className = hostClasses;
+    if (this.hasAttribute('class')) {
+      this._passClasses(wrapper);
       this.className = ''; // Remove from host to avoid double application
     }
 
@@ -159,8 +149,76 @@ class BsSidebar extends HTMLElement {
     this.appendChild(wrapper);
   }
 
-  disconnectedCallback() {
-    // Bootstrap Offcanvas doesn't necessarily need manual disposal if only using data attributes.
+  _update(name, oldValue) {
+    switch (name) {
+      case 'expand':
+        this._applyExpand();
+        break;
+      case 'background':
+        this._replaceClass(this._nav, `bg-${this._attr('background', oldValue)}`, `bg-${this._attr('background')}`);
+        break;
+      case 'theme':
+        this._applyTheme();
+        break;
+      case 'placement':
+        this._replaceClass(this._offcanvas, `offcanvas-${this._attr('placement', oldValue)}`, `offcanvas-${this._attr('placement')}`);
+        break;
+      case 'navbar-placement':
+        this._replaceClass(this._nav, this._attr('navbar-placement', oldValue), this._attr('navbar-placement'));
+        break;
+      case 'container': {
+        const containerType = this._attr('container');
+        this._container.className = containerType === 'standard' ? 'container' : `container-${containerType}`;
+        break;
+      }
+      case 'title':
+        // A title slot takes precedence over the attribute
+        if (!this._titleSlotted) {
+          this._title.textContent = this._attr('title');
+        }
+        break;
+    }
+  }
+
+  /**
+   * Sets the navbar-expand-* class of the navbar and the responsive
+   * offcanvas-* class of the offcanvas for the expand attribute.
+   * @private
+   */
+  _applyExpand() {
+    const expandAttr = this._attr('expand');
+    const isBreakpoint = expandAttr && expandAttr !== 'none' && expandAttr !== 'false' && expandAttr !== 'always';
+    const placement = this._attr('placement');
+
+    Array.from(this._nav.classList)
+      .filter(cls => cls.startsWith('navbar-expand'))
+      .forEach(cls => this._nav.classList.remove(cls));
+    if (expandAttr === 'always') {
+      this._nav.classList.add('navbar-expand');
+    } else if (isBreakpoint) {
+      this._nav.classList.add(`navbar-expand-${expandAttr}`);
+    }
+
+    // Keep only the placement class, then add the base class for the breakpoint
+    Array.from(this._offcanvas.classList)
+      .filter(cls => (cls === 'offcanvas' || cls.startsWith('offcanvas-')) && cls !== `offcanvas-${placement}`)
+      .forEach(cls => this._offcanvas.classList.remove(cls));
+    this._offcanvas.classList.add(isBreakpoint ? `offcanvas-${expandAttr}` : 'offcanvas');
+  }
+
+  /**
+   * Sets data-bs-theme on the host, the navbar and the offcanvas.
+   * @private
+   */
+  _applyTheme() {
+    const theme = this._attr('theme');
+    [this, this._nav, this._offcanvas].forEach(el => {
+      if (theme) {
+        el.setAttribute('data-bs-theme', theme);
+      } else {
+        el.removeAttribute('data-bs-theme');
+      }
+    });
   }
 }
 
@@ -176,65 +234,40 @@ class BsSidebar extends HTMLElement {
  * @attribute {string} [expand='md'] - The breakpoint at which the sidebar becomes permanent.
  * @slot title - Custom HTML for the sidebar title.
  */
-class BsPermanentSidebar extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-    setTimeout(() => this._render(), 0);
+class BsPermanentSidebar extends BsElement {
+  static get attributes() {
+    return {
+      width: { type: String, default: '280px' },
+      background: { type: String, default: 'body-tertiary' },
+      theme: { type: String },
+      title: { type: String, default: '' },
+      'navbar-placement': { type: String, default: 'sticky-top' },
+      expand: { type: String, default: 'md' }
+    };
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const width = this.getAttribute('width') || '280px';
-    const background = this.getAttribute('background') || 'body-tertiary';
-    const theme = this.getAttribute('theme');
-    const title = this.getAttribute('title') || '';
-    const navbarPlacement = this.getAttribute('navbar-placement') || 'sticky-top';
-    const expandAttr = this.getAttribute('expand') || 'md';
-
-    const breakpoints = {
-      'sm': '576px',
-      'md': '768px',
-      'lg': '992px',
-      'xl': '1200px',
-      'xxl': '1400px'
-    };
-    const breakpointPx = breakpoints[expandAttr] || '768px';
+    const background = this._attr('background');
+    const title = this._attr('title');
+    const navbarPlacement = this._attr('navbar-placement');
+    const expandAttr = this._attr('expand');
 
     const sidebarId = this.id || `sidebar-${Math.random().toString(36).substr(2, 9)}`;
     if (!this.id) this.id = sidebarId;
     const offcanvasId = `${sidebarId}-offcanvas`;
 
     this.style.display = 'block';
-    if (theme) this.setAttribute('data-bs-theme', theme);
     if (navbarPlacement) {
       this.classList.add(navbarPlacement);
     }
 
     // Responsive width handling
-    const styleId = `${sidebarId}-style`;
-    if (!document.getElementById(styleId)) {
-      const style = document.createElement('style');
-      style.id = styleId;
-      style.textContent = `
-        #${sidebarId} { width: 100%; }
-        @media (min-width: ${breakpointPx}) {
-          #${sidebarId} { width: ${width} !important; }
-        }
-      `;
-      document.head.appendChild(style);
-    }
+    this._applyWidth();
 
     // Toggle Button (Mobile only)
     const toggleContainer = document.createElement('div');
     toggleContainer.className = `navbar d-${expandAttr}-none border-bottom w-100 bg-${background}`;
-    if (theme) toggleContainer.setAttribute('data-bs-theme', theme);
+    this._toggleContainer = toggleContainer;
     
     const containerFluid = document.createElement('div');
     containerFluid.className = 'container-fluid justify-content-start';
@@ -245,7 +278,9 @@ class BsPermanentSidebar extends HTMLElement {
     toggleBtn.setAttribute('data-bs-toggle', 'offcanvas');
     toggleBtn.setAttribute('data-bs-target', `#${offcanvasId}`);
     toggleBtn.setAttribute('aria-controls', offcanvasId);
-    toggleBtn.innerHTML = '<span class="navbar-toggler-icon"></span>';
+    const togglerIcon = document.createElement('span');
+    togglerIcon.className = 'navbar-toggler-icon';
+    toggleBtn.appendChild(togglerIcon);
     
     containerFluid.appendChild(toggleBtn);
     toggleContainer.appendChild(containerFluid);
@@ -256,15 +291,17 @@ class BsPermanentSidebar extends HTMLElement {
     offcanvas.id = offcanvasId;
     offcanvas.setAttribute('tabindex', '-1');
     offcanvas.setAttribute('aria-labelledby', `${offcanvasId}Label`);
-    if (theme) offcanvas.setAttribute('data-bs-theme', theme);
+    this._offcanvas = offcanvas;
 
     const offcanvasHeader = document.createElement('div');
     offcanvasHeader.className = `offcanvas-header border-bottom d-${expandAttr}-none`;
+    this._offcanvasHeader = offcanvasHeader;
     
     const h5 = document.createElement('h5');
     h5.className = 'offcanvas-title';
     h5.id = `${offcanvasId}Label`;
     h5.textContent = title;
+    this._title = h5;
     
     const closeBtn = document.createElement('button');
     closeBtn.type = 'button';
@@ -287,7 +324,8 @@ class BsPermanentSidebar extends HTMLElement {
       container.classList.add(navbarPlacement);
     }
     container.style.width = '100%';
-    if (theme) container.setAttribute('data-bs-theme', theme);
+    this._navbar = container;
+    this._applyTheme();
 
     const wrapper = document.createElement('div');
     wrapper.className = 'w-100 h-100';
@@ -298,20 +336,20 @@ class BsPermanentSidebar extends HTMLElement {
         wrapper.setAttribute(attr.name, attr.value);
       }
     });
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      wrapper.className += ` ${hostClasses}`;
+    if (this.hasAttribute('class')) {
+      this._passClasses(wrapper);
       this.className = '';
     }
 
     // Capture children
     const children = Array.from(this.childNodes);
-    this.innerHTML = '';
+    this.textContent = '';
 
     // Handle title slot
     const titleSlot = children.find(child => 
       child.nodeType === Node.ELEMENT_NODE && child.getAttribute('slot') === 'title'
     );
+    this._titleSlotted = !!titleSlot;
 
     // Look for bs-navbar-brand
     const brand = children.find(child => 
@@ -320,11 +358,12 @@ class BsPermanentSidebar extends HTMLElement {
 
     if (titleSlot) {
       const titleClone = titleSlot.cloneNode(true);
-      h5.innerHTML = '';
+      h5.textContent = '';
       h5.appendChild(titleClone);
     }
 
     // Add brand/title to toggle bar
+    this._toggleTitle = null;
     if (brand) {
       containerFluid.appendChild(brand.cloneNode(true));
     } else if (titleSlot || title) {
@@ -334,6 +373,7 @@ class BsPermanentSidebar extends HTMLElement {
         brandSpan.appendChild(titleSlot.cloneNode(true));
       } else {
         brandSpan.textContent = title;
+        this._toggleTitle = brandSpan;
       }
       containerFluid.appendChild(brandSpan);
     }
@@ -349,6 +389,7 @@ class BsPermanentSidebar extends HTMLElement {
       hasHeaderContent = true;
     }
 
+    this._headerTitle = null;
     if (titleSlot || title) {
       const titleSpan = document.createElement('span');
       titleSpan.className = 'navbar-brand fs-4';
@@ -356,6 +397,7 @@ class BsPermanentSidebar extends HTMLElement {
         titleSpan.appendChild(titleSlot);
       } else {
         titleSpan.textContent = title;
+        this._headerTitle = titleSpan;
       }
       header.appendChild(titleSpan);
       hasHeaderContent = true;
@@ -378,6 +420,86 @@ class BsPermanentSidebar extends HTMLElement {
     wrapper.appendChild(offcanvas);
     this.appendChild(wrapper);
   }
+
+  _update(name, oldValue) {
+    const oldAttr = this._attr(name, oldValue);
+    const attr = this._attr(name);
+
+    switch (name) {
+      case 'width':
+        this._applyWidth();
+        break;
+      case 'expand':
+        this._replaceClass(this._toggleContainer, `d-${oldAttr}-none`, `d-${attr}-none`);
+        this._replaceClass(this._offcanvas, `offcanvas-${oldAttr}`, `offcanvas-${attr}`);
+        this._replaceClass(this._offcanvasHeader, `d-${oldAttr}-none`, `d-${attr}-none`);
+        this._applyWidth();
+        break;
+      case 'background':
+        this._replaceClass(this._toggleContainer, `bg-${oldAttr}`, `bg-${attr}`);
+        this._replaceClass(this._navbar, `bg-${oldAttr}`, `bg-${attr}`);
+        break;
+      case 'theme':
+        this._applyTheme();
+        break;
+      case 'navbar-placement':
+        this._replaceClass(this, oldAttr, attr);
+        this._replaceClass(this._navbar, oldAttr, attr);
+        break;
+      case 'title':
+        // A title slot takes precedence over the attribute
+        if (this._titleSlotted) break;
+        this._title.textContent = attr;
+        [this._toggleTitle, this._headerTitle].forEach(span => {
+          if (span) span.textContent = attr;
+        });
+        break;
+    }
+  }
+
+  /**
+   * Writes the style that gives the sidebar its width from the expand breakpoint up.
+   * @private
+   */
+  _applyWidth() {
+    const breakpoints = {
+      'sm': '576px',
+      'md': '768px',
+      'lg': '992px',
+      'xl': '1200px',
+      'xxl': '1400px'
+    };
+    const breakpointPx = breakpoints[this._attr('expand')] || '768px';
+
+    const styleId = `${this.id}-style`;
+    let style = document.getElementById(styleId);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = styleId;
+      document.head.appendChild(style);
+    }
+    style.textContent = `
+        #${this.id} { width: 100%; }
+        @media (min-width: ${breakpointPx}) {
+          #${this.id} { width: ${this._attr('width')} !important; }
+        }
+      `;
+  }
+
+  /**
+   * Sets data-bs-theme on the host and the themed parts.
+   * @private
+   */
+  _applyTheme() {
+    const theme = this._attr('theme');
+    [this, this._toggleContainer, this._offcanvas, this._navbar].forEach(el => {
+      if (theme) {
+        el.setAttribute('data-bs-theme', theme);
+      } else {
+        el.removeAttribute('data-bs-theme');
+      }
+    });
+  }
 }
 
 if (!customElements.get('bs-sidebar')) {
@@ -10,61 +10,81 @@
  * @attribute {boolean} [small] - If present, the spinner will be smaller.
  * @attribute {string} [label=Loading...] - Accessibility text for the spinner.
  */
-class BsSpinner extends HTMLElement {
-  constructor() {
-    super();
-    this._initialized = false;
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+class BsSpinner extends BsElement {
+  static get attributes() {
+    return {
+      animation: { type: String, default: 'border' },
+      variant: { type: String },
+      small: { type: Boolean },
+      label: { type: String, default: 'Loading...' }
+    };
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const animation = this.getAttribute('animation') || 'border';
-    const variant = this.getAttribute('variant');
-    const small = this.hasAttribute('small');
-    const label = this.getAttribute('label') || 'Loading...';
+    const variant = this._attr('variant');
 
     this.style.display = 'inline-block';
 
     const spinnerElement = document.createElement('div');
-    spinnerElement.className = `spinner-${animation}`;
     spinnerElement.setAttribute('role', 'status');
+    this._spinner = spinnerElement;
+    this._applyAnimation();
 
     if (variant) {
       spinnerElement.classList.add(`text-${variant}`);
     }
 
-    if (small) {
-      spinnerElement.classList.add(`spinner-${animation}-sm`);
-    }
-
     // Pass through classes from the host element to the underlying div
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      spinnerElement.className += ` ${hostClasses}`;
-    }
+    this._passClasses(spinnerElement);
 
     // Accessibility label
     // If there's already content, we might want to preserve it or just add the hidden label
     // Bootstrap standard is to have a visually-hidden span inside.
     const span = document.createElement('span');
     span.className = 'visually-hidden';
-    span.textContent = label;
+    span.textContent = this._attr('label');
+    this._label = span;
     
     spinnerElement.appendChild(span);
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(spinnerElement);
   }
+
+  _update(name, oldValue) {
+    switch (name) {
+      case 'animation':
+        this._applyAnimation(this._attr('animation', oldValue));
+        break;
+      case 'small':
+        this._applyAnimation(this._attr('animation'));
+        break;
+      case 'variant': {
+        const oldVariant = this._attr('variant', oldValue);
+        const variant = this._attr('variant');
+        this._replaceClass(this._spinner, oldVariant && `text-${oldVariant}`, variant && `text-${variant}`);
+        break;
+      }
+      case 'label':
+        this._label.textContent = this._attr('label');
+        break;
+    }
+  }
+
+  /**
+   * Sets the spinner-* classes for the current animation and size.
+   * @param {string} [previous] - The animation whose classes are replaced.
+   * @private
+   */
+  _applyAnimation(previous) {
+    const animation = this._attr('animation');
+    if (previous) {
+      this._spinner.classList.remove(`spinner-${previous}`, `spinner-${previous}-sm`);
+    }
+    this._spinner.classList.add(`spinner-${animation}`);
+    if (this._attr('small')) {
+      this._spinner.classList.add(`spinner-${animation}-sm`);
+    }
+  }
 }
 
 // Define the custom element
@@ -8,49 +8,43 @@
  * @element theme-toggle
  * @attribute {string} [storage-key=theme] - The localStorage key to store the theme preference.
  */
-class ThemeToggle extends HTMLElement {
+class ThemeToggle extends BsElement {
+  static get attributes() {
+    return {
+      'storage-key': { type: String, default: 'theme' }
+    };
+  }
+
   constructor() {
     super();
-    this._initialized = false;
     this._state = 'auto'; // light, dark, auto
     this._handleSystemThemeChange = this._handleSystemThemeChange.bind(this);
     this._handleExternalChange = this._handleExternalChange.bind(this);
   }
 
-  static get observedAttributes() {
-    return ['storage-key'];
-  }
-
-  connectedCallback() {
-    if (this._initialized) return;
-
-    // Use a timeout to ensure that the element is fully parsed.
-    setTimeout(() => {
-      this._render();
-    }, 0);
-  }
-
-  disconnectedCallback() {
-    if (this._query) {
-      this._query.removeEventListener('change', this._handleSystemThemeChange);
-    }
+  _disconnect() {
+    this._query.removeEventListener('change', this._handleSystemThemeChange);
     window.removeEventListener('storage', this._handleExternalChange);
     window.removeEventListener('bs-theme-change', this._handleExternalChange);
   }
 
-  attributeChangedCallback(name, oldValue, newValue) {
-    if (this._initialized && name === 'storage-key' && oldValue !== newValue) {
-      this._state = localStorage.getItem(newValue) || 'auto';
+  _reconnect() {
+    // The preference may have changed while the toggle was detached
+    this._state = localStorage.getItem(this._attr('storage-key')) || 'auto';
+    this._updateVisuals();
+    this._addListeners();
+  }
+
+  _update(name) {
+    if (name === 'storage-key') {
+      this._state = localStorage.getItem(this._attr('storage-key')) || 'auto';
       this._applyTheme(this._state);
       this._updateVisuals();
     }
   }
 
   _render() {
-    if (this._initialized) return;
-    this._initialized = true;
-
-    const storageKey = this.getAttribute('storage-key') || 'theme';
+    const storageKey = this._attr('storage-key');
     this._state = localStorage.getItem(storageKey) || 'auto';
 
     // Apply the theme immediately
@@ -58,25 +52,25 @@ class ThemeToggle extends HTMLElement {
 
     this.style.display = 'block';
     const wrapper = document.createElement('div');
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      wrapper.className += ` ${hostClasses}`;
-    }
+    this._passClasses(wrapper);
+
+    const button = document.createElement('button');
+    button.className = 'btn btn-outline-secondary rounded-circle d-flex align-items-center justify-content-center';
+    button.type = 'button';
+    button.style.width = '2.5rem';
+    button.style.height = '2.5rem';
+    button.setAttribute('aria-label', 'Toggle theme');
 
-    wrapper.innerHTML = `
-      <button class="btn btn-outline-secondary rounded-circle d-flex align-items-center justify-content-center" 
-              type="button" 
-              style="width: 2.5rem; height: 2.5rem;" 
-              aria-label="Toggle theme">
-        <span class="theme-toggle-icon d-flex justify-content-center"></span>
-      </button>
-    `;
+    const iconContainer = document.createElement('span');
+    iconContainer.className = 'theme-toggle-icon d-flex justify-content-center';
+    button.appendChild(iconContainer);
+    wrapper.appendChild(button);
 
-    this.innerHTML = '';
+    this.textContent = '';
     this.appendChild(wrapper);
 
-    this.button = wrapper.querySelector('button');
-    this.iconContainer = wrapper.querySelector('.theme-toggle-icon');
+    this.button = button;
+    this.iconContainer = iconContainer;
 
     this._updateVisuals();
 
@@ -84,8 +78,12 @@ class ThemeToggle extends HTMLElement {
       this._cycleState();
     });
 
-    // Listen for system color scheme changes
     this._query = window.matchMedia('(prefers-color-scheme: dark)');
+    this._addListeners();
+  }
+
+  _addListeners() {
+    // Listen for system color scheme changes
     this._query.addEventListener('change', this._handleSystemThemeChange);
 
     // Sync with other instances via storage and custom events
@@ -100,7 +98,7 @@ class ThemeToggle extends HTMLElement {
   }
 
   _handleExternalChange(e) {
-    const storageKey = this.getAttribute('storage-key') || 'theme';
+    const storageKey = this._attr('storage-key');
     
     if (e.type === 'storage') {
       if (e.key === storageKey) {
@@ -121,7 +119,7 @@ class ThemeToggle extends HTMLElement {
     const currentIndex = states.indexOf(this._state);
     this._state = states[(currentIndex + 1) % states.length];
     
-    const storageKey = this.getAttribute('storage-key') || 'theme';
+    const storageKey = this._attr('storage-key');
     localStorage.setItem(storageKey, this._state);
     
     this._applyTheme(this._state);
@@ -144,14 +142,29 @@ class ThemeToggle extends HTMLElement {
   _updateVisuals() {
     if (!this.iconContainer || !this.button) return;
 
-    const sunIcon = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="26" fill="currentColor" class="bi bi-sun-fill" viewBox="0 0 16 16"><path d="M8 12a4 4 0 1 0 0-8 4 4 0 0 0 0 8M8 0a.5.5 0 0 1 .5.5v2a.5.5 0 0 1-1 0v-2A.5.5 0 0 1 8 0m0 13a.5.5 0 0 1 .5.5v2a.5.5 0 0 1-1 0v-2A.5.5 0 0 1 8 13m8-5a.5.5 0 0 1-.5.5h-2a.5.5 0 0 1 0-1h2a.5.5 0 0 1 .5.5.3.3a.5.5 0 0 1-.5.5h-2a.5.5 0 0 1 0-1h2A.5.5 0 0 1 3 8m10.657-5.657a.5.5 0 0 1 0 .707l-1.414 1.415a.5.5 0 1 1-.707-.708l1.414-1.414a.5.5 0 0 1 .707 0m-9.193 9.193a.5.5 0 0 1 0 .707L3.05 13.657a.5.5 0 0 1-.707-.707l1.414-1.414a.5.5 0 0 1 .707 0m9.193 2.121a.5.5 0 0 1-.707 0l-1.414-1.414a.5.5 0 0 1 .707-.707l1.414 1.414a.5.5 0 0 1 0 .707M4.464 4.465a.5.5 0 0 1-.707 0L2.343 3.05a.5.5 0 1 1 .707-.707l1.414 1.414a.5.5 0 0 1 0 .708z"/></svg>`;
-    const moonIcon = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="currentColor" class="bi bi-moon-stars-fill" viewBox="0 0 16 16"><path d="M6 .278a.768.768 0 0 1 .08.858 7.208 7.208 0 0 0-.878 3.46c0 4.021 3.278 7.277 7.318 7.277.527 0 1.04-.055 1.533-.16a.787.787 0 0 1 .81.316.733.733 0 0 1-.031.893A8.349 8.349 0 0 1 8.344 16C3.734 16 0 12.286 0 7.71 0 4.266 2.114 1.312 5.124.06A.752.752 0 0 1 6 .278z"/><path d="M10.794 3.148a.217.217 0 0 1 .412 0l.387 1.162c.173.518.579.924 1.097 1.097l1.162.387a.217.217 0 0 1 0 .412l-1.162.387a1.734 1.734 0 0 0-1.097 1.097l-.387 1.162a.217.217 0 0 1-.412 0l-.387-1.162A1.734 1.734 0 0 0 9.31 6.593l-1.162-.387a.217.217 0 0 1 0-.412l1.162-.387a1.734 1.734 0 0 0 1.097-1.097l.387-1.162zM13.863.099a.145.145 0 0 1 .274 0l.258.774c.115.346.386.617.732.732l.774.258a.145.145 0 0 1 0 .274l-.774.258a1.156 1.156 0 0 0-.732.732l-.258.774a.145.145 0 0 1-.274 0l-.258-.774a1.156 1.156 0 0 0-.732-.732l-.774-.258a.145.145 0 0 1 0-.274l.774-.258c.346-.115.617-.386.732-.732L13.863.1z"/></svg>`;
-    const autoIcon = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="currentColor" class="bi bi-circle-half" viewBox="0 0 16 16"><path d="M8 15A7 7 0 1 0 8 1v14zm0 1A8 8 0 1 1 8 0a8 8 0 0 1 0 16z"/></svg>`;
-
     const icons = {
-      light: sunIcon,
-      dark: moonIcon,
-      auto: autoIcon
+      light: {
+        className: 'bi bi-sun-fill',
+        height: 26,
+        paths: [
+          'M8 12a4 4 0 1 0 0-8 4 4 0 0 0 0 8M8 0a.5.5 0 0 1 .5.5v2a.5.5 0 0 1-1 0v-2A.5.5 0 0 1 8 0m0 13a.5.5 0 0 1 .5.5v2a.5.5 0 0 1-1 0v-2A.5.5 0 0 1 8 13m8-5a.5.5 0 0 1-.5.5h-2a.5.5 0 0 1 0-1h2a.5.5 0 0 1 .5.5.3.3a.5.5 0 0 1-.5.5h-2a.5.5 0 0 1 0-1h2A.5.5 0 0 1 3 8m10.657-5.657a.5.5 0 0 1 0 .707l-1.414 1.415a.5.5 0 1 1-.707-.708l1.414-1.414a.5.5 0 0 1 .707 0m-9.193 9.193a.5.5 0 0 1 0 .707L3.05 13.657a.5.5 0 0 1-.707-.707l1.414-1.414a.5.5 0 0 1 .707 0m9.193 2.121a.5.5 0 0 1-.707 0l-1.414-1.414a.5.5 0 0 1 .707-.707l1.414 1.414a.5.5 0 0 1 0 .707M4.464 4.465a.5.5 0 0 1-.707 0L2.343 3.05a.5.5 0 1 1 .707-.707l1.414 1.414a.5.5 0 0 1 0 .708z'
+        ]
+      },
+      dark: {
+        className: 'bi bi-moon-stars-fill',
+        height: 24,
+        paths: [
+          'M6 .278a.768.768 0 0 1 .08.858 7.208 7.208 0 0 0-.878 3.46c0 4.021 3.278 7.277 7.318 7.277.527 0 1.04-.055 1.533-.16a.787.787 0 0 1 .81.316.733.733 0 0 1-.031.893A8.349 8.349 0 0 1 8.344 16C3.734 16 0 12.286 0 7.71 0 4.266 2.114 1.312 5.124.06A.752.752 0 0 1 6 .278z',
+          'M10.794 3.148a.217.217 0 0 1 .412 0l.387 1.162c.173.518.579.924 1.097 1.097l1.162.387a.217.217 0 0 1 0 .412l-1.162.387a1.734 1.734 0 0 0-1.097 1.097l-.387 1.162a.217.217 0 0 1-.412 0l-.387-1.162A1.734 1.734 0 0 0 9.31 6.593l-1.162-.387a.217.217 0 0 1 0-.412l1.162-.387a1.734 1.734 0 0 0 1.097-1.097l.387-1.162zM13.863.099a.145.145 0 0 1 .274 0l.258.774c.115.346.386.617.732.732l.774.258a.145.145 0 0 1 0 .274l-.774.258a1.156 1.156 0 0 0-.732.732l-.258.774a.145.145 0 0 1-.274 0l-.258-.774a1.156 1.156 0 0 0-.732-.732l-.774-.258a.145.145 0 0 1 0-.274l.774-.258c.346-.115.617-.386.732-.732L13.863.1z'
+        ]
+      },
+      auto: {
+        className: 'bi bi-circle-half',
+        height: 24,
+        paths: [
+          'M8 15A7 7 0 1 0 8 1v14zm0 1A8 8 0 1 1 8 0a8 8 0 0 1 0 16z'
+        ]
+      }
     };
 
     const nextTitles = {
@@ -160,9 +173,25 @@ class ThemeToggle extends HTMLElement {
       auto: 'Switch to Light Mode'
     };
 
-    this.iconContainer.innerHTML = icons[this._state];
+    this.iconContainer.replaceChildren(this._createIcon(icons[this._state]));
     this.button.title = nextTitles[this._state];
   }
+
+  _createIcon({ className, height, paths }) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('width', '24');
+    svg.setAttribute('height', height);
+    svg.setAttribute('fill', 'currentColor');
+    svg.setAttribute('class', className);
+    svg.setAttribute('viewBox', '0 0 16 16');
+    paths.forEach(d => {
+      const path = document.createElementNS(svgNS, 'path');
+      path.setAttribute('d', d);
+      svg.appendChild(path);
+    });
+    return svg;
+  }
 }
 
 if (!customElements.get('theme-toggle')) {
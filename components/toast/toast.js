@@ -4,59 +4,102 @@
  * This component wraps the standard Bootstrap toast structure. It does not use
  * Shadow DOM to ensure full compatibility with Bootstrap's global CSS.
  *
+ * For notifications created from script, use `BsToast.notify()`, which manages
+ * positioned containers for the toasts.
+ *
  * @element bs-toast
  * @attribute {string} [title] - The title text for the toast header.
  * @attribute {string} [time] - The time/subtitle text for the toast header.
+ * @attribute {boolean} [html] - If present, the title and time are rendered as sanitized HTML (see `BsCore.sanitizer`).
  * @attribute {boolean} [autohide=true] - Set to "false" to disable.
- * @attribute {number} [delay=5000] - Delay in milliseconds before hiding the toast.
+ * @attribute {number} [delay=5000] - Delay in milliseconds before hiding the toast. The countdown pauses
+ *   while the toast is hovered or focused and while the page is hidden, and then resumes with the time left.
+ * @attribute {boolean} [progress] - If present, a progress bar shows the time left before the toast hides.
  * @attribute {boolean} [animation=true] - Set to "false" to disable.
  * @attribute {string} [variant] - Contextual variant for color schemes (e.g., 'primary', 'success').
  * @attribute {boolean} [show] - If present, the toast will be shown immediately.
+ * @attribute {string} [group-key] - Groups repeated toasts. Showing a toast while another one with the
+ *   same key is visible updates that toast instead: it takes the new title, variant and body, counts the
+ *   repetitions in a badge and restarts its countdown. The toast itself is not shown.
+ * @attribute {boolean} [broadcast] - If present, the toast is also shown in the other open tabs of this
+ *   origin whenever it is shown here (see `BsToast.notify()`).
+ *
+ * @fires bs-action - When an action button is clicked, with the action in `detail.action`.
+ *   Cancelable; canceling keeps the toast open and leaves `result` pending.
  *
  * @slot icon - Custom icon/image for the header.
  * @slot header - Custom header content (overrides title and time attributes).
+ * @slot actions - Action buttons. The action of a button is its data-action attribute, or its text.
+ *   Choosing one resolves `result` with the action and hides the toast.
  * @slot - Content for the toast body.
  */
-class BsToast extends HTMLElement {
+class BsToast extends BsElement {
+  static get attributes() {
+    return {
+      title: { type: String },
+      time: { type: String },
+      variant: { type: String },
+      autohide: { type: Boolean, default: true },
+      delay: { type: Number, default: 5000 },
+      animation: { type: Boolean, default: true },
+      show: { type: Boolean },
+      html: { type: Boolean },
+      progress: { type: Boolean },
+      'group-key': { type: String },
+      broadcast: { type: Boolean }
+    };
+  }
+
   constructor() {
     super();
     this.toast = null;
-    this._initialized = false;
-  }
+    this._pendingShow = false;
+    this._resetResult();
 
-  connectedCallback() {
-    if (this._initialized) return;
+    /**
+     * The id of the last broadcast of this toast, shared by the copies in the
+     * other tabs. Null if the toast has not been broadcast or received.
+     * @type {string|null}
+     */
+    this.broadcastId = null;
+    /** @type {string|null} The placement passed to notify(), relayed with broadcasts. */
+    this._placement = null;
+    /** @type {number} How often the toast has been shown since it was hidden (see group-key). */
+    this._groupCount = 1;
 
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+    /** @type {BsCountdown|null} The autohide countdown (see _startTimer). */
+    this._countdown = null;
   }
 
-  disconnectedCallback() {
+  _disconnect() {
+    this._stopTimer();
+    this._leaveGroup();
     if (this.toast) {
+      // A toast that is still visible is shown again when it is re-added
+      if (this.toast.isShown()) {
+        this._pendingShow = true;
+      }
       this.toast.dispose();
       this.toast = null;
     }
   }
 
-  _render() {
-    if (this._initialized) return;
-    this._initialized = true;
+  _reconnect() {
+    this._createToast();
+  }
 
-    const titleAttr = this.getAttribute('title');
-    const timeAttr = this.getAttribute('time');
-    const variantAttr = this.getAttribute('variant');
-    const autohide = this.getAttribute('autohide') !== 'false';
-    const delay = parseInt(this.getAttribute('delay') || '5000', 10);
-    const animation = this.getAttribute('animation') !== 'false';
-    const shouldShow = this.hasAttribute('show');
+  _render() {
+    const titleAttr = this._attr('title');
+    const timeAttr = this._attr('time');
+    const variantAttr = this._attr('variant');
+    const shouldShow = this._attr('show');
 
     // Create the internal toast structure
     const toastContainer = document.createElement('div');
     toastContainer.className = 'toast';
-    if (animation) toastContainer.classList.add('fade');
+    if (this._attr('animation')) toastContainer.classList.add('fade');
     if (shouldShow) toastContainer.classList.add('show');
+    this._toastElement = toastContainer;
 
     // Transfer any classes from the host element to the internal toast container
     if (this.classList.length > 0) {
@@ -90,6 +133,7 @@ class BsToast extends HTMLElement {
     // Containers for distribution
     const iconSlot = document.createElement('div');
     const headerSlot = document.createElement('div');
+    const actionsSlot = document.createElement('div');
     const bodySlot = document.createElement('div');
 
     // Distribute children
@@ -100,6 +144,8 @@ class BsToast extends HTMLElement {
           iconSlot.appendChild(child);
         } else if (slot === 'header') {
           headerSlot.appendChild(child);
+        } else if (slot === 'actions') {
+          actionsSlot.appendChild(child);
         } else {
           bodySlot.appendChild(child);
         }
@@ -109,16 +155,16 @@ class BsToast extends HTMLElement {
     });
 
     // Build the final structure
-    this.innerHTML = '';
+    this.textContent = '';
 
-    const hasHeader = !!(titleAttr || timeAttr || headerSlot.hasChildNodes() || iconSlot.hasChildNodes());
+    this._headerSlotted = headerSlot.hasChildNodes();
+    const hasHeader = !!(titleAttr || timeAttr || this._headerSlotted || iconSlot.hasChildNodes());
     const hasCustomBody = Array.from(bodySlot.childNodes).some(child => 
       child.nodeType === Node.ELEMENT_NODE && (child.classList.contains('toast-body') || child.classList.contains('d-flex'))
     );
 
     if (hasHeader) {
-      const headerDiv = document.createElement('div');
-      headerDiv.className = 'toast-header';
+      const headerDiv = this._createHeader();
 
       // Icon
       if (iconSlot.hasChildNodes()) {
@@ -127,40 +173,17 @@ class BsToast extends HTMLElement {
           if (child instanceof HTMLElement) {
             child.classList.add('rounded', 'me-2');
           }
-          headerDiv.appendChild(child);
+          headerDiv.insertBefore(child, headerDiv.lastChild);
         }
       }
 
       // Title/Header content
-      if (headerSlot.hasChildNodes()) {
-        while (headerSlot.firstChild) {
-          headerDiv.appendChild(headerSlot.firstChild);
-        }
-      } else if (titleAttr) {
-        const strong = document.createElement('strong');
-        strong.className = 'me-auto';
-        strong.textContent = titleAttr;
-        headerDiv.appendChild(strong);
+      while (headerSlot.firstChild) {
+        headerDiv.insertBefore(headerSlot.firstChild, headerDiv.lastChild);
       }
 
-      // Time
-      if (timeAttr) {
-        const small = document.createElement('small');
-        small.className = 'text-body-secondary ms-2';
-        small.textContent = timeAttr;
-        headerDiv.appendChild(small);
-      }
-
-      // Close button
-      const closeBtn = document.createElement('button');
-      closeBtn.type = 'button';
-      closeBtn.className = 'btn-close ms-2';
-      if (variantAttr) closeBtn.classList.add('btn-close-white');
-      closeBtn.setAttribute('data-bs-dismiss', 'toast');
-      closeBtn.setAttribute('aria-label', 'Close');
-      headerDiv.appendChild(closeBtn);
-
       toastContainer.appendChild(headerDiv);
+      this._updateHeader();
 
       // Body
       if (hasCustomBody) {
@@ -195,46 +218,473 @@ class BsToast extends HTMLElement {
           bodyDiv.appendChild(bodySlot.firstChild);
         }
         wrapper.appendChild(bodyDiv);
-
-        const closeBtn = document.createElement('button');
-        closeBtn.type = 'button';
-        closeBtn.className = 'btn-close me-2 m-auto';
-        if (variantAttr) {
-          closeBtn.classList.add('btn-close-white');
-        }
-        closeBtn.setAttribute('data-bs-dismiss', 'toast');
-        closeBtn.setAttribute('aria-label', 'Close');
-        wrapper.appendChild(closeBtn);
+        wrapper.appendChild(this._createCloseButton('btn-close me-2 m-auto'));
 
         toastContainer.appendChild(wrapper);
+        this._shorthandWrapper = wrapper;
       }
     }
 
+    if (actionsSlot.hasChildNodes()) {
+      this._actionsElement = actionsSlot;
+      this._placeActions();
+      actionsSlot.addEventListener('click', (e) => this._handleActionClick(e));
+    }
+
     this.appendChild(toastContainer);
 
-    // Initialize Bootstrap Toast
-    if (window.bootstrap && window.bootstrap.Toast) {
-      this.toast = new bootstrap.Toast(toastContainer, {
-        autohide: autohide,
-        delay: delay,
-        animation: animation
+    this._countdown = BsCore.countdown(toastContainer, {
+      onDone: () => this.hide(),
+      progressClass: 'toast-progress rounded-0',
+      progressStyle: { borderRadius: '0 0 var(--bs-toast-border-radius) var(--bs-toast-border-radius)' }
+    });
+    this._countdown.showProgress(this._attr('progress'));
+
+    toastContainer.addEventListener('show.bs.toast', (e) => {
+      if (e.target !== toastContainer) return;
+
+      // Another toast of the group is visible: update that one instead
+      const groupKey = this._attr('group-key');
+      const groupToast = groupKey && BsToast._groups.get(groupKey);
+      if (groupToast && groupToast !== this) {
+        e.preventDefault();
+        this._pendingShow = false;
+        // A toast declared with the show attribute already has the class
+        toastContainer.classList.remove('show');
+        groupToast._absorb(this);
+        return;
+      }
+      if (groupKey) {
+        BsToast._groups.set(groupKey, this);
+      }
+
+      if (this._resultSettled) {
+        this._resetResult();
+      }
+      if (this._attr('broadcast')) {
+        this._broadcast();
+      }
+    });
+
+    toastContainer.addEventListener('shown.bs.toast', (e) => {
+      if (e.target === toastContainer) this._startTimer();
+    });
+
+    toastContainer.addEventListener('hidden.bs.toast', (e) => {
+      if (e.target !== toastContainer) return;
+      this._stopTimer();
+      this._leaveGroup();
+      this._groupCount = 1;
+      this._renderGroupCount();
+
+      // Hidden without choosing an action
+      this._settleResult(null);
+
+      // Apply changed options once the toast has been hidden (see _refreshToast)
+      if (this._staleToast) {
+        this._refreshToast();
+      }
+    });
+
+    if (shouldShow) {
+      this._pendingShow = true;
+    }
+    this._createToast();
+  }
+
+  /**
+   * Updates the rendered toast after an attribute change.
+   * @param {string} name
+   * @param {string|null} oldValue
+   * @param {string|null} newValue
+   * @private
+   */
+  _update(name, oldValue, newValue) {
+    const toastContainer = this._toastElement;
+
+    switch (name) {
+      case 'title':
+      case 'time':
+        if (!toastContainer.querySelector(':scope > .toast-header')) {
+          this._addHeader();
+        }
+        this._updateHeader();
+        break;
+      case 'html':
+        if (toastContainer.querySelector(':scope > .toast-header')) {
+          this._updateHeader();
+        }
+        break;
+      case 'variant': {
+        const variant = this._attr('variant');
+        const oldVariant = this._attr('variant', oldValue);
+        this._replaceClass(toastContainer, oldVariant && `text-bg-${oldVariant}`, variant && `text-bg-${variant}`);
+        toastContainer.classList.toggle('border-0', !!variant);
+        toastContainer.querySelectorAll('[data-bs-dismiss="toast"].btn-close').forEach(btn => {
+          btn.classList.toggle('btn-close-white', !!variant);
+        });
+        break;
+      }
+      case 'animation':
+        toastContainer.classList.toggle('fade', this._attr('animation'));
+        this._refreshToast();
+        break;
+      case 'autohide':
+      case 'delay':
+        // Restart the countdown with the new settings
+        if (this.toast && this.toast.isShown()) {
+          this._startTimer();
+        }
+        break;
+      case 'progress':
+        this._countdown.showProgress(this._attr('progress'));
+        break;
+      case 'group-key':
+        if (BsToast._groups.get(oldValue) === this) {
+          BsToast._groups.delete(oldValue);
+        }
+        if (newValue && this.toast && this.toast.isShown() && !BsToast._groups.has(newValue)) {
+          BsToast._groups.set(newValue, this);
+        }
+        break;
+      case 'show':
+        if ((oldValue === null) === (newValue === null)) return;
+        if (newValue !== null) {
+          this.show();
+        } else {
+          this.hide();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Returns the plugin options for the current attributes. The plugin's own
+   * autohide is turned off: it restarts the full delay after every pause,
+   * whereas the component's countdown resumes with the time left.
+   * @returns {{autohide: boolean, animation: boolean}}
+   * @private
+   */
+  _options() {
+    return {
+      autohide: false,
+      animation: this._attr('animation')
+    };
+  }
+
+  /**
+   * Starts the autohide countdown from the full delay.
+   * @private
+   */
+  _startTimer() {
+    this._countdown.start(this._attr('autohide') ? this._attr('delay') : null);
+  }
+
+  /**
+   * Cancels the autohide countdown.
+   * @private
+   */
+  _stopTimer() {
+    if (this._countdown) {
+      this._countdown.stop();
+    }
+  }
+
+  /**
+   * Creates an empty header that only contains the close button.
+   * @returns {HTMLDivElement}
+   * @private
+   */
+  _createHeader() {
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'toast-header';
+    headerDiv.appendChild(this._createCloseButton('btn-close ms-2'));
+    return headerDiv;
+  }
+
+  /**
+   * Creates a close button, white on colored toasts.
+   * @param {string} className
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createCloseButton(className) {
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = className;
+    if (this._attr('variant')) closeBtn.classList.add('btn-close-white');
+    closeBtn.setAttribute('data-bs-dismiss', 'toast');
+    closeBtn.setAttribute('aria-label', 'Close');
+    return closeBtn;
+  }
+
+  /**
+   * Adds a header to a toast that was rendered without one, turning the
+   * shorthand layout (body and close button side by side) into a regular toast.
+   * @private
+   */
+  _addHeader() {
+    const toastContainer = this._toastElement;
+    const wrapper = this._shorthandWrapper;
+
+    if (wrapper && wrapper.parentNode === toastContainer) {
+      const bodyDiv = wrapper.querySelector('.toast-body');
+      wrapper.replaceWith(bodyDiv);
+      toastContainer.classList.remove('align-items-center');
+      this._shorthandWrapper = null;
+      this._placeActions();
+    }
+    toastContainer.insertBefore(this._createHeader(), toastContainer.firstChild);
+  }
+
+  /**
+   * Puts the actions container in place for the current layout: next to the
+   * body in the shorthand layout, below the body text otherwise.
+   * @private
+   */
+  _placeActions() {
+    const actions = this._actionsElement;
+    if (!actions) return;
+
+    const wrapper = this._shorthandWrapper;
+    if (wrapper && wrapper.parentNode === this._toastElement) {
+      actions.className = 'toast-actions d-flex align-items-center gap-2 me-2';
+      wrapper.insertBefore(actions, wrapper.lastChild);
+    } else {
+      const bodies = this._toastElement.querySelectorAll('.toast-body');
+      actions.className = 'toast-actions d-flex gap-2 mt-2 pt-2 border-top';
+      (bodies[bodies.length - 1] || this._toastElement).appendChild(actions);
+    }
+  }
+
+  /**
+   * Chooses the action of a clicked action button.
+   * @param {MouseEvent} e
+   * @private
+   */
+  _handleActionClick(e) {
+    const button = e.target.closest('button, a, [data-action]');
+    if (!button || !this._actionsElement.contains(button) || button.hasAttribute('data-bs-dismiss')) return;
+
+    const action = button.getAttribute('data-action') || button.textContent.trim();
+    const event = new CustomEvent('bs-action', { bubbles: true, cancelable: true, detail: { action } });
+    if (!this.dispatchEvent(event)) return;
+
+    this._settleResult(action);
+    this.hide();
+  }
+
+  /**
+   * Creates a pending `result` promise.
+   * @private
+   */
+  _resetResult() {
+    this._resultSettled = false;
+    /**
+     * Resolves with the chosen action, or null if the toast is hidden without one.
+     * A new promise is created when the toast is shown again after that.
+     * @type {Promise<string|null>}
+     */
+    this.result = new Promise(resolve => {
+      this._resolveResult = resolve;
+    });
+  }
+
+  /**
+   * Resolves the `result` promise unless it has been resolved already.
+   * @param {string|null} action
+   * @private
+   */
+  _settleResult(action) {
+    if (this._resultSettled) return;
+    this._resultSettled = true;
+    this._resolveResult(action);
+  }
+
+  /**
+   * Shows a repetition of this toast: takes the title, variant and body of
+   * another toast with the same group key, bumps the counter and restarts the
+   * countdown. The other toast is left as it is.
+   * @param {BsToast} source
+   * @private
+   */
+  _absorb(source) {
+    this._initialize();
+    source._initialize();
+
+    ['title', 'variant'].forEach(name => {
+      const value = source.getAttribute(name);
+      if (value !== null) this.setAttribute(name, value);
+    });
+
+    const sourceBody = source._toastElement.querySelector('.toast-body');
+    const body = this._toastElement.querySelector('.toast-body');
+    if (sourceBody && body) {
+      Array.from(body.childNodes).forEach(child => {
+        if (child !== this._actionsElement) child.remove();
+      });
+      Array.from(sourceBody.childNodes).forEach(child => {
+        if (child !== source._actionsElement) body.insertBefore(child.cloneNode(true), this._actionsElement);
       });
+    }
 
-      if (shouldShow) {
-        this.toast.show();
+    this._groupCount++;
+    this._renderGroupCount();
+
+    if (this.toast && this.toast.isShown()) {
+      this._startTimer();
+      if (source._attr('broadcast')) {
+        this._broadcast();
       }
+    } else if (this.isConnected) {
+      // A queued notification is shown once there is room for it
+      this.show();
+    }
+  }
+
+  /**
+   * Removes the toast from its group once it is no longer visible.
+   * @private
+   */
+  _leaveGroup() {
+    const groupKey = this._attr('group-key');
+    if (groupKey && BsToast._groups.get(groupKey) === this) {
+      BsToast._groups.delete(groupKey);
     }
   }
 
+  /**
+   * Shows how often the toast has been repeated in a badge, in the header if
+   * there is one and next to the close button otherwise.
+   * @private
+   */
+  _renderGroupCount() {
+    if (this._groupCount < 2) {
+      if (this._countElement) this._countElement.remove();
+      return;
+    }
+
+    if (!this._countElement) {
+      // A <bs-badge> if the badge component is loaded
+      if (customElements.get('bs-badge')) {
+        this._countElement = document.createElement('bs-badge');
+        this._countElement.setAttribute('variant', 'secondary');
+        this._countElement.setAttribute('pill', '');
+      } else {
+        this._countElement = document.createElement('span');
+        this._countElement.className = 'badge rounded-pill text-bg-secondary';
+      }
+      this._countElement.classList.add('toast-count', 'align-self-center');
+    }
+
+    const count = String(this._groupCount);
+    if (this._countElement.localName === 'bs-badge') {
+      this._countElement.setAttribute('text', count);
+    } else {
+      this._countElement.textContent = count;
+    }
+
+    const header = this._toastElement.querySelector(':scope > .toast-header');
+    const container = header || this._shorthandWrapper;
+    const closeBtn = container && container.querySelector(':scope > [data-bs-dismiss="toast"]');
+    if (!closeBtn) return;
+    const timeElement = header && this._timeElement && this._timeElement.parentNode === header ? this._timeElement : null;
+    container.insertBefore(this._countElement, timeElement || closeBtn);
+  }
+
+  /**
+   * Relays the toast to the other tabs, as plain text.
+   * @private
+   */
+  _broadcast() {
+    const text = (element) => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+    const body = Array.from(this._toastElement.querySelectorAll('.toast-body')).map(bodyElement => {
+      const clone = bodyElement.cloneNode(true);
+      clone.querySelectorAll('.toast-actions').forEach(actions => actions.remove());
+      return text(clone);
+    }).filter(Boolean).join(' ');
+
+    this.broadcastId = BsToast._createBroadcastId();
+    BsToast._sendBroadcast({
+      id: this.broadcastId,
+      source: BsToast._tabId,
+      options: {
+        title: this._headerSlotted ? '' : text(this._titleElement),
+        body,
+        variant: this._attr('variant') || undefined,
+        delay: this._attr('delay'),
+        autohide: this._attr('autohide'),
+        progress: this._attr('progress'),
+        placement: this._placement,
+        groupKey: this._attr('group-key') || undefined
+      }
+    });
+  }
+
+  /**
+   * Creates, updates or removes the title and time elements of the header.
+   * @private
+   */
+  _updateHeader() {
+    const headerDiv = this._toastElement.querySelector(':scope > .toast-header');
+    const closeBtn = headerDiv.lastChild;
+    const titleAttr = this._attr('title');
+    const timeAttr = this._attr('time');
+
+    // A header slot takes precedence over the title attribute
+    if (titleAttr && !this._headerSlotted) {
+      if (!this._titleElement) {
+        this._titleElement = document.createElement('strong');
+        this._titleElement.className = 'me-auto';
+      }
+      this._setContent(this._titleElement, titleAttr);
+      headerDiv.insertBefore(this._titleElement, this._timeElement && this._timeElement.parentNode ? this._timeElement : closeBtn);
+    } else if (this._titleElement) {
+      this._titleElement.remove();
+    }
+
+    if (timeAttr) {
+      if (!this._timeElement) {
+        this._timeElement = document.createElement('small');
+        this._timeElement.className = 'text-body-secondary ms-2';
+      }
+      this._setContent(this._timeElement, timeAttr);
+      headerDiv.insertBefore(this._timeElement, closeBtn);
+    } else if (this._timeElement) {
+      this._timeElement.remove();
+    }
+  }
+
+  /**
+   * Recreates the plugin instance so that it picks up changed options.
+   * Disposing a shown toast would hide it, so that waits until it is hidden.
+   * @private
+   */
+  _refreshToast() {
+    if (!this.toast) return;
+    if (this.toast.isShown()) {
+      this._staleToast = true;
+      return;
+    }
+    this._staleToast = false;
+    this.toast.dispose();
+    this.toast = null;
+    this._ensureToast();
+  }
+
   show() {
     this._ensureToast();
     if (this.toast) {
       this.toast.show();
+    } else {
+      // Shown as soon as the plugin becomes available
+      this._pendingShow = true;
     }
   }
 
   hide() {
     this._ensureToast();
+    this._pendingShow = false;
     if (this.toast) {
       this.toast.hide();
     }
@@ -247,26 +697,370 @@ class BsToast extends HTMLElement {
     }
   }
 
-  _ensureToast() {
-    if (!this._initialized) {
-      this._render();
+  // --- Static Notification API ---
+
+  /**
+   * Shows a toast in a managed `.toast-container` for the given placement.
+   * The container is created on first use. When it already holds
+   * `BsToast.notifyDefaults.maxVisible` toasts, the new one is queued until
+   * another toast has been hidden. Toasts are removed once hidden.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.title] - The title text for the toast header.
+   * @param {string|Node} [options.body] - The message (plain text) or a node to place in the body.
+   * @param {string} [options.variant] - Contextual variant, e.g. 'success' or 'danger'.
+   * @param {number} [options.delay] - Delay in milliseconds before hiding the toast.
+   * @param {boolean} [options.autohide=true] - Whether the toast hides itself after the delay.
+   * @param {boolean} [options.progress=false] - Whether to show a progress bar for the time left.
+   * @param {string} [options.placement] - One of `BsToast.placements`, e.g. 'top-end' or 'middle-center'.
+   *   Defaults to `BsToast.notifyDefaults.placement`.
+   * @param {Array<string|{label: string, action: string, variant: string}>} [options.actions] - Action buttons.
+   *   A string is used as both label and action. The variant defaults to 'primary' ('light' on colored toasts).
+   * @param {string} [options.groupKey] - Groups repeated notifications: while a toast with this key is
+   *   visible or queued, the notification updates it instead, and that toast is returned (see `group-key`).
+   * @param {boolean} [options.broadcast=false] - Whether to show the notification in the other open tabs
+   *   of this origin too. They receive the title and the body as plain text, without the action buttons;
+   *   the `result` is only settled in this tab.
+   * @returns {BsToast} The toast element. Its `result` promise resolves with the chosen action, or null.
+   *
+   * @example
+   * BsToast.notify({ title: 'Saved', body: 'Your changes were saved.', variant: 'success' });
+   *
+   * @example
+   * const action = await BsToast.notify({ body: 'New version available', actions: ['Reload', 'Later'] }).result;
+   *
+   * @example
+   * BsToast.notify({ title: 'Export', body: 'Your export is ready.', broadcast: true });
+   */
+  static notify(options = {}) {
+    return BsToast._enqueue(BsToast._createNotification(options));
+  }
+
+  /**
+   * Creates the toast for `notify()` without showing it.
+   * @param {Object} options - See `notify()`.
+   * @returns {BsToast}
+   * @private
+   */
+  static _createNotification(options) {
+    const {
+      title,
+      body = '',
+      variant,
+      delay,
+      autohide = true,
+      progress = false,
+      placement = BsToast.notifyDefaults.placement,
+      actions = [],
+      groupKey,
+      broadcast = false
+    } = options;
+
+    if (!BsToast.placements[placement]) {
+      throw new Error(`Unknown toast placement: ${placement}`);
+    }
+
+    const host = document.createElement('bs-toast');
+    if (title) host.setAttribute('title', title);
+    if (variant) host.setAttribute('variant', variant);
+    if (delay !== undefined) host.setAttribute('delay', delay);
+    if (!autohide) host.setAttribute('autohide', 'false');
+    if (progress) host.setAttribute('progress', '');
+    if (groupKey) host.setAttribute('group-key', groupKey);
+    if (broadcast) host.setAttribute('broadcast', '');
+    host._placement = placement;
+    // Strings are appended as text; the message is usually built from user data.
+    host.append(body);
+    actions.forEach(item => {
+      const { label, action = label, variant: buttonVariant = variant ? 'light' : 'primary' } =
+        typeof item === 'string' ? { label: item } : item;
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `btn btn-sm btn-${buttonVariant}`;
+      button.setAttribute('slot', 'actions');
+      button.setAttribute('data-action', action);
+      button.textContent = label;
+      host.appendChild(button);
+    });
+
+    host.addEventListener('hidden.bs.toast', () => {
+      const region = host.parentNode;
+      host.remove();
+      BsToast._showQueued(placement);
+      if (region && !region.hasChildNodes() && !BsToast._queues[placement]) {
+        region.remove();
+      }
+    });
+    return host;
+  }
+
+  /**
+   * Shows a notification toast, or queues it while its container is full.
+   * A toast whose group already has a visible or queued toast updates that one.
+   * @param {BsToast} host
+   * @returns {BsToast} The toast that shows the notification.
+   * @private
+   */
+  static _enqueue(host) {
+    const groupKey = host.getAttribute('group-key');
+    const groupToast = groupKey && BsToast._groups.get(groupKey);
+    if (groupToast) {
+      groupToast._absorb(host);
+      return groupToast;
+    }
+    if (groupKey) {
+      BsToast._groups.set(groupKey, host);
+    }
+
+    const placement = host._placement;
+    const queue = BsToast._queues[placement];
+    if (queue || BsToast._region(placement).children.length >= BsToast.notifyDefaults.maxVisible) {
+      BsToast._queues[placement] = [...(queue || []), host];
+    } else {
+      BsToast._place(host, placement);
+    }
+    return host;
+  }
+
+  /**
+   * Shows a notification with an Undo button, e.g. after archiving or deleting an item.
+   * @param {Object} [options] - The options of `notify()`, plus:
+   * @param {string} [options.undoText='Undo'] - The label of the undo button.
+   * @returns {Promise<boolean>} Resolves true if Undo was clicked, false once the toast is hidden without it.
+   *
+   * @example
+   * archive(item);
+   * if (await BsToast.undo({ body: 'Conversation archived.' })) {
+   *   unarchive(item);
+   * }
+   */
+  static undo(options = {}) {
+    const { undoText = 'Undo', actions = [], ...notifyOptions } = options;
+    const toast = BsToast.notify({
+      ...notifyOptions,
+      actions: [{ label: undoText, action: 'undo' }, ...actions]
+    });
+    return toast.result.then(action => action === 'undo');
+  }
+
+  /**
+   * Sends a broadcast to the other tabs through a BroadcastChannel, or through
+   * a `storage` event where BroadcastChannel is not available.
+   * @param {{id: string, source: string, options: Object}} message
+   * @private
+   */
+  static _sendBroadcast(message) {
+    BsToast._seenBroadcasts.add(message.id);
+
+    if (BsToast._channel) {
+      BsToast._channel.postMessage(message);
+      return;
+    }
+    try {
+      // Other tabs receive a storage event for the change; the entry itself is not kept
+      localStorage.setItem(BsToast.broadcastKey, JSON.stringify(message));
+      localStorage.removeItem(BsToast.broadcastKey);
+    } catch (e) {
+      // Storage is full or unavailable; the toast is only shown in this tab
+    }
+  }
+
+  /**
+   * Shows a toast broadcast by another tab, once.
+   * @param {{id: string, source: string, options: Object}} message
+   * @private
+   */
+  static _receiveBroadcast(message) {
+    if (!message || !message.options || message.source === BsToast._tabId || BsToast._seenBroadcasts.has(message.id)) {
+      return;
+    }
+    BsToast._seenBroadcasts.add(message.id);
+
+    const { title, body, variant, delay, autohide, progress, placement, groupKey } = message.options;
+    const host = BsToast._createNotification({
+      title: String(title || ''),
+      body: String(body || ''),
+      variant,
+      delay,
+      autohide,
+      progress,
+      placement: BsToast.placements[placement] ? placement : undefined,
+      groupKey: groupKey ? String(groupKey) : undefined
+    });
+    host.broadcastId = message.id;
+    BsToast._enqueue(host);
+  }
+
+  /**
+   * Starts listening for toasts broadcast by other tabs.
+   * @private
+   */
+  static _listenForBroadcasts() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      BsToast._channel = new BroadcastChannel(BsToast.broadcastKey);
+      BsToast._channel.addEventListener('message', (e) => BsToast._receiveBroadcast(e.data));
+    } else {
+      window.addEventListener('storage', (e) => {
+        if (e.key !== BsToast.broadcastKey || !e.newValue) return;
+        try {
+          BsToast._receiveBroadcast(JSON.parse(e.newValue));
+        } catch (err) {
+          // Not a broadcast
+        }
+      });
+    }
+  }
+
+  static _createBroadcastId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Adds a notification toast to its container and shows it.
+   * @param {BsToast} host
+   * @param {string} placement
+   * @private
+   */
+  static _place(host, placement) {
+    const region = BsToast._region(placement);
+    if (BsToast.notifyDefaults.order === 'newest-first') {
+      region.prepend(host);
+    } else {
+      region.append(host);
+    }
+    host.show();
+  }
+
+  /**
+   * Shows queued notifications while their container has room.
+   * @param {string} placement
+   * @private
+   */
+  static _showQueued(placement) {
+    const queue = BsToast._queues[placement];
+    while (queue && queue.length && BsToast._region(placement).children.length < BsToast.notifyDefaults.maxVisible) {
+      BsToast._place(queue.shift(), placement);
     }
-    if (!this.toast && window.bootstrap && window.bootstrap.Toast) {
+    if (queue && !queue.length) {
+      delete BsToast._queues[placement];
+    }
+  }
+
+  /**
+   * Returns the toast container for a placement, creating it if needed.
+   * @param {string} placement
+   * @returns {HTMLDivElement}
+   * @private
+   */
+  static _region(placement) {
+    let region = document.querySelector(`.toast-container[data-bs-toast-placement="${placement}"]`);
+    if (!region) {
+      region = document.createElement('div');
+      region.className = `toast-container position-fixed p-3 ${BsToast.placements[placement]}`;
+      region.setAttribute('data-bs-toast-placement', placement);
+      document.body.appendChild(region);
+    }
+    return region;
+  }
+
+  /**
+   * Creates the Bootstrap toast (or the built-in fallback) once it is available
+   * and shows it if that was requested before.
+   * @private
+   */
+  _createToast() {
+    BsCore.whenPlugin('Toast', () => {
+      if (this.toast || !this.isConnected) return;
+      this._ensureToast();
+
+      if (this._pendingShow) {
+        this._pendingShow = false;
+        this.toast.show();
+      }
+    });
+  }
+
+  _ensureToast() {
+    this._initialize();
+    const Toast = BsCore.plugin('Toast');
+    if (!this.toast && Toast) {
         const toastContainer = this.querySelector('.toast');
         if (!toastContainer) return;
 
-        const autohide = this.getAttribute('autohide') !== 'false';
-        const delay = parseInt(this.getAttribute('delay') || '5000', 10);
-        const animation = this.getAttribute('animation') !== 'false';
-        this.toast = new bootstrap.Toast(toastContainer, {
-            autohide: autohide,
-            delay: delay,
-            animation: animation
-        });
+        this.toast = new Toast(toastContainer, this._options());
     }
   }
 }
 
+/**
+ * The positioning classes of the notification containers, by placement.
+ * @type {Object<string, string>}
+ */
+BsToast.placements = {
+  'top-start': 'top-0 start-0',
+  'top-center': 'top-0 start-50 translate-middle-x',
+  'top-end': 'top-0 end-0',
+  'middle-start': 'top-50 start-0 translate-middle-y',
+  'middle-center': 'top-50 start-50 translate-middle',
+  'middle-end': 'top-50 end-0 translate-middle-y',
+  'bottom-start': 'bottom-0 start-0',
+  'bottom-center': 'bottom-0 start-50 translate-middle-x',
+  'bottom-end': 'bottom-0 end-0'
+};
+
+/**
+ * Defaults of `BsToast.notify()`.
+ * - placement: where notifications appear unless `notify()` is given one.
+ * - order: 'newest-first' puts new toasts at the start of their container, 'newest-last' at the end.
+ * - maxVisible: how many toasts a container shows at once; further toasts wait in a queue.
+ * @type {{placement: string, order: ('newest-first'|'newest-last'), maxVisible: number}}
+ */
+BsToast.notifyDefaults = {
+  placement: 'bottom-end',
+  order: 'newest-last',
+  maxVisible: 5
+};
+
+/**
+ * Notifications waiting for room in their container, by placement.
+ * @type {Object<string, BsToast[]>}
+ * @private
+ */
+BsToast._queues = {};
+
+/**
+ * The visible (or queued) toast of each group, by group key.
+ * @type {Map<string, BsToast>}
+ * @private
+ */
+BsToast._groups = new Map();
+
+/**
+ * The name of the BroadcastChannel, and the localStorage key of the fallback,
+ * used to relay toasts to the other tabs.
+ * @type {string}
+ */
+BsToast.broadcastKey = 'bs-toast-broadcast';
+
+/**
+ * Identifies this tab in broadcasts, so that it ignores its own.
+ * @type {string}
+ * @private
+ */
+BsToast._tabId = BsToast._createBroadcastId();
+
+/**
+ * The ids of the broadcasts sent or shown by this tab.
+ * @type {Set<string>}
+ * @private
+ */
+BsToast._seenBroadcasts = new Set();
+
+/** @type {BroadcastChannel|null} */
+BsToast._channel = null;
+
+BsToast._listenForBroadcasts();
+
 // Define the custom element
 if (!customElements.get('bs-toast')) {
   customElements.define('bs-toast', BsToast);
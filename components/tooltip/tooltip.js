@@ -9,35 +9,98 @@
  * @attribute {string} [placement=top] - 'top', 'bottom', 'left', 'right', 'auto'.
  * @attribute {boolean} [animation=true] - Whether to animate the tooltip.
  * @attribute {string|object} [delay=0] - Delay in ms, or object {show: 500, hide: 100}.
- * @attribute {boolean} [html] - If present, allows HTML in title.
+ * @attribute {boolean} [html] - If present, allows HTML in title. It is sanitized by Bootstrap
+ *   using the element's `allowList` and the sanitizeFn of `BsCore.sanitizer`.
  * @attribute {string} [trigger=hover focus] - 'click', 'hover', 'focus', 'manual'.
  * @attribute {string} [custom-class] - Custom class for the tooltip.
  * @attribute {string|array} [offset=[0, 6]] - Offset of the tooltip relative to its target.
+ * @attribute {string} [template] - The id of a `<template>` whose content is used as the tooltip.
+ * @attribute {string} [content-src] - URL of an HTML fragment that is fetched when the tooltip is first
+ *   shown and used as its content, sanitized with the element's `allowList`. See also `contentProvider`.
+ * @attribute {boolean} [overflow-only] - If present, the tooltip only shows while the content is
+ *   truncated (see `BsTooltip.isTruncated()`), and the title defaults to the full text of the content.
+ *   The truncated element is the first child element, or the content itself if it is only text.
+ *
+ * @slot tooltip - Rich content for the tooltip, e.g. formatted shortcuts, icons or a small table.
+ *   Takes precedence over the template and title. Slotted and template content is sanitized
+ *   with the element's `allowList` and follows changes to the source while the page is open.
+ * @slot - The element that shows the tooltip.
  */
-class BsTooltip extends HTMLElement {
+class BsTooltip extends BsElement {
+  static get attributes() {
+    return {
+      title: { type: String, default: '' },
+      'data-bs-title': { type: String },
+      placement: { type: String, default: 'top' },
+      animation: { type: Boolean, default: true },
+      delay: { type: String, default: 0 },
+      html: { type: Boolean },
+      trigger: { type: String, default: 'hover focus' },
+      'custom-class': { type: String, default: '' },
+      offset: { type: String, default: [0, 6] },
+      template: { type: String },
+      'content-src': { type: String },
+      'overflow-only': { type: Boolean }
+    };
+  }
+
   constructor() {
     super();
     this.tooltip = null;
-    this._initialized = false;
+    /**
+     * The allow list for HTML titles and rich content, in the format of
+     * `BsCore.sanitizer.allowList`, which is used when this is null.
+     * Call `reinit()` after changing it.
+     * @type {Object<string, Array<string|RegExp>>|null}
+     */
+    this.allowList = null;
+    this._slotContent = null;
+    this._contentObserver = null;
+
+    // Content loaded from content-src or contentProvider, cached after the first show
+    this._contentProvider = null;
+    this._loadedContent = null;
+    this._loading = false;
+    this._loadFailed = false;
+    this._requestId = 0;
   }
 
-  connectedCallback() {
-    if (this._initialized) return;
+  /**
+   * An async function that provides the tooltip content when the tooltip is
+   * first shown. It is called with the `<bs-tooltip>` element and returns (a
+   * promise of) a Node, which is used as is, or a string, which is plain text
+   * (sanitized HTML with the `html` attribute). Takes precedence over `content-src`.
+   * A spinner shows while it is pending; the result is cached.
+   * @type {Function|null}
+   *
+   * @example
+   * tooltip.contentProvider = async () => {
+   *   const user = await fetchUser(id);
+   *   return `${user.name} (${user.role})`;
+   * };
+   */
+  get contentProvider() {
+    return this._contentProvider;
+  }
 
-    // Use a timeout to ensure that child elements are parsed before rendering.
-    setTimeout(() => {
-      this._render();
-    }, 0);
+  set contentProvider(provider) {
+    this._contentProvider = provider;
+    this._resetLoadedContent();
+    // The html option depends on it
+    if (this.tooltip) this.reinit();
   }
 
-  disconnectedCallback() {
+  _disconnect() {
     this.dispose();
+    this._stopObservingContent();
   }
 
-  _render() {
-    if (this._initialized) return;
-    this._initialized = true;
+  _reconnect() {
+    this._observeContent();
+    this._createTooltip();
+  }
 
+  _render() {
     // Set display to block/inline-block
     this.style.display = 'inline-block';
 
@@ -45,9 +108,16 @@ class BsTooltip extends HTMLElement {
     wrapper.style.display = 'inline-block';
 
     // Pass through classes from the host element to the underlying div
-    const hostClasses = this.getAttribute('class');
-    if (hostClasses) {
-      wrapper.className += ` ${hostClasses}`;
+    this._passClasses(wrapper);
+
+    // The tooltip slot is kept aside; its sanitized copy is shown in the tooltip
+    const slotted = Array.from(this.children).filter(child => child.getAttribute('slot') === 'tooltip');
+    if (slotted.length) {
+      this._slotContent = document.createElement('div');
+      slotted.forEach(child => {
+        child.removeAttribute('slot');
+        this._slotContent.appendChild(child);
+      });
     }
 
     // Move children to the wrapper
@@ -55,27 +125,213 @@ class BsTooltip extends HTMLElement {
       wrapper.appendChild(this.firstChild);
     }
     this.appendChild(wrapper);
+    this._wrapper = wrapper;
+
+    // Loads remote content the first time the tooltip is shown
+    wrapper.addEventListener('inserted.bs.tooltip', () => this._loadContent());
+    wrapper.addEventListener('hidden.bs.tooltip', () => this._resetFailedLoad());
+
+    this._observeContent();
+    this._createTooltip();
+  }
+
+  _update(name) {
+    if (name === 'title' || name === 'data-bs-title') {
+      this._refreshContent();
+      return;
+    }
+    if (name === 'template') {
+      this._observeContent();
+    }
+    if (name === 'content-src') {
+      this._resetLoadedContent();
+    }
+    // Other options are read once by Bootstrap, so the instance is rebuilt
+    if (this.tooltip) this.reinit();
+  }
 
-    const title = this.getAttribute('data-bs-title') || this.getAttribute('title') || '';
-    const placement = this.getAttribute('placement') || 'top';
-    const animation = this.getAttribute('animation') !== 'false';
-    const delay = this.getAttribute('delay') || 0;
-    const html = this.hasAttribute('html');
-    const trigger = this.getAttribute('trigger') || 'hover focus';
-    const customClass = this.getAttribute('custom-class') || '';
-    const offset = this.getAttribute('offset') || [0, 6];
-
-    if (window.bootstrap && window.bootstrap.Tooltip) {
-      this.tooltip = new bootstrap.Tooltip(wrapper, {
-        title: title,
-        placement: placement,
-        animation: animation,
-        delay: delay,
-        html: html,
-        trigger: trigger,
-        customClass: customClass,
-        offset: offset
+  /**
+   * Creates the Bootstrap tooltip on the wrapper once Bootstrap is available
+   * (there is no built-in fallback for tooltips).
+   * @private
+   */
+  _createTooltip() {
+    const wrapper = this._wrapper;
+    BsCore.whenPlugin('Tooltip', (Tooltip) => {
+      if (this.tooltip || !this.isConnected || wrapper.parentNode !== this) return;
+      this.tooltip = new Tooltip(wrapper, {
+        title: this._title(),
+        placement: this._attr('placement'),
+        animation: this._attr('animation'),
+        delay: this._attr('delay'),
+        // Rich content is an element, which Bootstrap only inserts as such in html mode
+        html: this._attr('html') || !!this._contentSource() || this._loadsContent(),
+        trigger: this._attr('trigger'),
+        customClass: this._attr('custom-class'),
+        offset: this._attr('offset'),
+        allowList: this.allowList || BsCore.sanitizer.allowList,
+        sanitizeFn: BsCore.sanitizer.sanitizeFn
       });
+
+      if (this._attr('overflow-only')) {
+        BsTooltip._watchOverflow(wrapper, wrapper.firstElementChild || wrapper);
+      }
+    });
+  }
+
+  /**
+   * @returns {string|HTMLElement|Function} The tooltip content: a sanitized copy
+   *   of the rich content if there is any, otherwise the text, preferring
+   *   data-bs-title. In overflow-only mode, it defaults to the full text.
+   * @private
+   */
+  _title() {
+    const source = this._contentSource();
+    if (source) {
+      const markup = document.createElement('div');
+      markup.appendChild(source.cloneNode(true));
+
+      const content = document.createElement('div');
+      content.appendChild(BsCore.sanitize(markup.innerHTML, this.allowList || BsCore.sanitizer.allowList));
+      return content;
+    }
+    if (this._loadsContent()) {
+      return this._loadedContent || BsCore.createSpinner({ small: true });
+    }
+
+    const title = this._attr('data-bs-title') || this._attr('title');
+    if (!title && this._attr('overflow-only')) {
+      // Read when shown, so that it follows changes to the text
+      return () => BsTooltip._fullText(this._wrapper);
+    }
+    return title;
+  }
+
+  /**
+   * @returns {Node|null} The rich content: the tooltip slot, or the content of the template.
+   * @private
+   */
+  _contentSource() {
+    if (this._slotContent) return this._slotContent;
+
+    const templateId = this._attr('template');
+    const template = templateId && document.getElementById(templateId);
+    return template instanceof HTMLTemplateElement ? template.content : null;
+  }
+
+  /**
+   * @returns {boolean} Whether the content comes from content-src or contentProvider.
+   * @private
+   */
+  _loadsContent() {
+    return typeof this._contentProvider === 'function' || !!this._attr('content-src');
+  }
+
+  /**
+   * Loads the content from contentProvider or content-src unless it has been
+   * loaded already, then shows it in the tooltip and repositions it.
+   * @private
+   */
+  _loadContent() {
+    // After a failure, the error stays until the tooltip is hidden
+    if (!this._loadsContent() || this._loadedContent || this._loading || this._loadFailed) return;
+
+    // A newer request (see _resetLoadedContent) makes this one stale
+    const requestId = ++this._requestId;
+    this._loading = true;
+
+    const provider = this._contentProvider;
+    const src = this._attr('content-src');
+    const request = provider
+      ? Promise.resolve().then(() => provider(this)).then(result => this._toContent(result))
+      : BsCore.fetchHTML(src)
+        .then(html => this._toContent(BsCore.sanitize(html, this.allowList || BsCore.sanitizer.allowList)));
+
+    request
+      .then(content => {
+        if (requestId !== this._requestId) return;
+        this._loading = false;
+        this._loadedContent = content;
+        this._refreshContent();
+        this.update();
+      })
+      .catch(error => {
+        if (requestId !== this._requestId) return;
+        this._loading = false;
+        this._loadFailed = true;
+
+        // Not cached; the next show tries again (see _resetFailedLoad)
+        const message = BsCore.createLoadError(error, { alert: false });
+        if (this.tooltip) this.tooltip.setContent({ '.tooltip-inner': message });
+        this.update();
+      });
+  }
+
+  /**
+   * Wraps loaded content in an element for the tooltip.
+   * @param {Node|string} result - A node, or text (sanitized HTML with the html attribute).
+   * @returns {HTMLDivElement}
+   * @private
+   */
+  _toContent(result) {
+    const content = document.createElement('div');
+    if (result instanceof Node) {
+      content.appendChild(result);
+    } else if (this._attr('html')) {
+      content.appendChild(BsCore.sanitize(String(result), this.allowList || BsCore.sanitizer.allowList));
+    } else {
+      content.textContent = result == null ? '' : String(result);
+    }
+    return content;
+  }
+
+  /**
+   * Puts the spinner back in place of a load error once the tooltip is
+   * hidden, so that the next show loads the content again.
+   * @private
+   */
+  _resetFailedLoad() {
+    if (!this._loadFailed) return;
+    this._loadFailed = false;
+    this._refreshContent();
+  }
+
+  /**
+   * Forgets loaded content, e.g. after content-src has changed.
+   * @private
+   */
+  _resetLoadedContent() {
+    this._requestId++;
+    this._loading = false;
+    this._loadFailed = false;
+    this._loadedContent = null;
+  }
+
+  /**
+   * Passes the current content to the tooltip.
+   * @private
+   */
+  _refreshContent() {
+    if (this.tooltip) this.tooltip.setContent({ '.tooltip-inner': this._title() });
+  }
+
+  /**
+   * Watches the rich content, so that changes show up in the tooltip.
+   * @private
+   */
+  _observeContent() {
+    this._stopObservingContent();
+    const source = this._contentSource();
+    if (!source) return;
+
+    this._contentObserver = new MutationObserver(() => this._refreshContent());
+    this._contentObserver.observe(source, { childList: true, subtree: true, characterData: true, attributes: true });
+  }
+
+  _stopObservingContent() {
+    if (this._contentObserver) {
+      this._contentObserver.disconnect();
+      this._contentObserver = null;
     }
   }
 
@@ -112,14 +368,8 @@ class BsTooltip extends HTMLElement {
    */
   dispose() {
     if (this.tooltip) {
-      // Prevent crash if a hide transition is in progress.
-      // Bootstrap's dispose() sets internal state to null, but pending callbacks
-      // (like the one from _queueCallback) might still try to access it.
-      // By overriding isWithActiveTrigger to return true, we cause any pending 
-      // completion callbacks to return early and do nothing.
-      this.tooltip.isWithActiveTrigger = () => true;
-
-      this.tooltip.dispose();
+      BsTooltip._unwatchOverflow(this._wrapper);
+      BsCore.disposeTip(this.tooltip);
       this.tooltip = null;
     }
   }
@@ -129,8 +379,11 @@ class BsTooltip extends HTMLElement {
    */
   reinit() {
     this.dispose();
-    this._initialized = false;
-    this._render();
+    if (this._initialized) {
+      this._createTooltip();
+    } else {
+      this._initialize();
+    }
   }
 
   // --- Static Management System ---
@@ -138,14 +391,30 @@ class BsTooltip extends HTMLElement {
   /**
    * Initializes a tooltip on any element.
    * @param {HTMLElement|string} element 
-   * @param {Object} options 
+   * @param {Object} options - Bootstrap tooltip options, plus:
+   * @param {boolean} [options.overflowOnly] - Only show the tooltip while the element is truncated,
+   *   with its full text as the default title. Defaults to whether the element has `data-bs-overflow-only`.
    * @returns {bootstrap.Tooltip}
+   *
+   * @example
+   * document.querySelectorAll('td.text-truncate').forEach(cell => BsTooltip.init(cell, { overflowOnly: true }));
    */
   static init(element, options = {}) {
-    if (!window.bootstrap || !window.bootstrap.Tooltip) return null;
+    const Tooltip = BsCore.plugin('Tooltip');
+    if (!Tooltip) return null;
     const el = typeof element === 'string' ? document.querySelector(element) : element;
     if (!el) return null;
-    return bootstrap.Tooltip.getOrCreateInstance(el, options);
+
+    const { overflowOnly = el.hasAttribute('data-bs-overflow-only'), ...tooltipOptions } = options;
+    if (overflowOnly && tooltipOptions.title === undefined && !el.getAttribute('data-bs-title') && !el.getAttribute('title')) {
+      tooltipOptions.title = () => BsTooltip._fullText(el);
+    }
+
+    const instance = Tooltip.getOrCreateInstance(el, tooltipOptions);
+    if (overflowOnly) {
+      BsTooltip._watchOverflow(el, el);
+    }
+    return instance;
   }
 
   /**
@@ -153,14 +422,14 @@ class BsTooltip extends HTMLElement {
    * @param {HTMLElement|string} element 
    */
   static dispose(element) {
-    if (!window.bootstrap || !window.bootstrap.Tooltip) return;
+    const Tooltip = BsCore.plugin('Tooltip');
+    if (!Tooltip) return;
     const el = typeof element === 'string' ? document.querySelector(element) : element;
     if (!el) return;
-    const instance = bootstrap.Tooltip.getInstance(el);
+    BsTooltip._unwatchOverflow(el);
+    const instance = Tooltip.getInstance(el);
     if (instance) {
-      // Prevent crash if a hide transition is in progress.
-      instance.isWithActiveTrigger = () => true;
-      instance.dispose();
+      BsCore.disposeTip(instance);
     }
   }
 
@@ -170,7 +439,7 @@ class BsTooltip extends HTMLElement {
    * @returns {bootstrap.Tooltip}
    */
   static reinit(element) {
-    if (!window.bootstrap || !window.bootstrap.Tooltip) return null;
+    if (!BsCore.plugin('Tooltip')) return null;
     const el = typeof element === 'string' ? document.querySelector(element) : element;
     if (!el) return null;
     
@@ -181,15 +450,20 @@ class BsTooltip extends HTMLElement {
   /**
    * Initializes all tooltips in a container that have data-bs-toggle="tooltip".
    * Also re-initializes all <bs-tooltip> components.
+   * If Bootstrap has not loaded yet, this runs as soon as it does.
    * @param {HTMLElement} container 
    */
   static initAll(container = document.body) {
-    if (!window.bootstrap || !window.bootstrap.Tooltip) return;
+    const Tooltip = BsCore.plugin('Tooltip');
+    if (!Tooltip) {
+      BsCore.whenPlugin('Tooltip', () => this.initAll(container));
+      return;
+    }
 
     // Standard elements
     const triggers = container.querySelectorAll('[data-bs-toggle="tooltip"]');
     triggers.forEach(el => {
-      bootstrap.Tooltip.getOrCreateInstance(el);
+      this.init(el);
     });
 
     // Custom components
@@ -206,7 +480,7 @@ class BsTooltip extends HTMLElement {
    * @param {HTMLElement} container 
    */
   static disposeAll(container = document.body) {
-    if (!window.bootstrap || !window.bootstrap.Tooltip) return;
+    if (!BsCore.plugin('Tooltip')) return;
 
     const triggers = container.querySelectorAll('[data-bs-toggle="tooltip"]');
     triggers.forEach(el => {
@@ -218,8 +492,240 @@ class BsTooltip extends HTMLElement {
       if (comp.dispose) comp.dispose();
     });
   }
+
+  /**
+   * Keeps the tooltips of a container in sync with its content: elements with
+   * data-bs-toggle="tooltip" get a tooltip when they are added, lose it when
+   * they are removed, and get a new one when their data-bs-title changes.
+   * The existing elements are initialized right away. Changes are handled in
+   * batches, once per animation frame, so large content swaps stay cheap.
+   * If Bootstrap has not loaded yet, this starts as soon as it does.
+   * `<bs-tooltip>` components manage their tooltips themselves.
+   * @param {HTMLElement} [container=document.body]
+   *
+   * @example
+   * BsTooltip.observe(document.getElementById('results'));
+   * // ...tooltips in #results now follow AJAX content swaps
+   */
+  static observe(container = document.body) {
+    if (BsTooltip._observers.has(container)) return;
+
+    const observer = new MutationObserver(records => BsTooltip._queueMutations(records));
+    BsTooltip._observers.set(container, observer);
+
+    BsCore.whenPlugin('Tooltip', () => {
+      // Unobserved in the meantime
+      if (BsTooltip._observers.get(container) !== observer) return;
+
+      BsTooltip._triggersIn(container).forEach(el => BsTooltip.init(el));
+      observer.observe(container, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['data-bs-toggle', 'data-bs-title']
+      });
+    });
+  }
+
+  /**
+   * Stops keeping the tooltips of a container in sync (see `observe()`).
+   * Existing tooltips are kept.
+   * @param {HTMLElement} [container] - Stops all observers if omitted.
+   */
+  static unobserve(container) {
+    const containers = container ? [container] : Array.from(BsTooltip._observers.keys());
+    containers.forEach(root => {
+      const observer = BsTooltip._observers.get(root);
+      if (!observer) return;
+      // Apply changes that have not been delivered yet
+      BsTooltip._queueMutations(observer.takeRecords());
+      observer.disconnect();
+      BsTooltip._observers.delete(root);
+    });
+  }
+
+  /**
+   * Collects the nodes touched by mutations and schedules a batch.
+   * @param {MutationRecord[]} records
+   * @private
+   */
+  static _queueMutations(records) {
+    const pending = BsTooltip._pending;
+    records.forEach(record => {
+      if (record.type === 'attributes') {
+        pending.changed.add(record.target);
+        return;
+      }
+      record.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) pending.added.add(node);
+      });
+      record.removedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) pending.removed.add(node);
+      });
+    });
+
+    if (!pending.scheduled && (pending.added.size || pending.removed.size || pending.changed.size)) {
+      pending.scheduled = true;
+      requestAnimationFrame(() => BsTooltip._flushMutations());
+    }
+  }
+
+  /**
+   * Creates and disposes of tooltips for the collected mutations.
+   * @private
+   */
+  static _flushMutations() {
+    const { added, removed, changed } = BsTooltip._pending;
+    BsTooltip._pending = { added: new Set(), removed: new Set(), changed: new Set(), scheduled: false };
+
+    const Tooltip = BsCore.plugin('Tooltip');
+    if (!Tooltip) return;
+
+    // Nodes that are still in the document have only been moved
+    removed.forEach(node => {
+      if (!node.isConnected) {
+        BsTooltip._triggersIn(node).forEach(el => BsTooltip.dispose(el));
+      }
+    });
+
+    changed.forEach(el => {
+      if (!el.isConnected) return;
+      if (el.getAttribute('data-bs-toggle') !== 'tooltip') {
+        BsTooltip.dispose(el);
+      } else if (Tooltip.getInstance(el)) {
+        BsTooltip.reinit(el);
+      } else {
+        BsTooltip.init(el);
+      }
+    });
+
+    added.forEach(node => {
+      if (node.isConnected) {
+        BsTooltip._triggersIn(node).forEach(el => BsTooltip.init(el));
+      }
+    });
+  }
+
+  /**
+   * Checks whether the text of an element is cut off, e.g. by `text-truncate`.
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  static isTruncated(element) {
+    return element.scrollWidth > element.clientWidth;
+  }
+
+  /**
+   * Limits a tooltip to the times its target is truncated: the tooltip is
+   * prevented from showing otherwise, and hidden when a resize removes the
+   * truncation.
+   * @param {HTMLElement} trigger - The element with the tooltip.
+   * @param {HTMLElement} target - The element that may be truncated.
+   * @private
+   */
+  static _watchOverflow(trigger, target) {
+    BsTooltip._overflowTargets.set(trigger, target);
+    if (typeof ResizeObserver === 'undefined') return;
+
+    if (!BsTooltip._resizeObserver) {
+      BsTooltip._resizeObserver = new ResizeObserver(entries => {
+        entries.forEach(entry => BsTooltip._checkOverflow(entry.target));
+      });
+    }
+    BsTooltip._overflowTriggers.set(target, trigger);
+    BsTooltip._resizeObserver.observe(target);
+  }
+
+  /**
+   * @param {HTMLElement} trigger
+   * @private
+   */
+  static _unwatchOverflow(trigger) {
+    const target = BsTooltip._overflowTargets.get(trigger);
+    if (!target) return;
+
+    BsTooltip._overflowTargets.delete(trigger);
+    BsTooltip._overflowTriggers.delete(target);
+    if (BsTooltip._resizeObserver) {
+      BsTooltip._resizeObserver.unobserve(target);
+    }
+  }
+
+  /**
+   * Hides the tooltip of a resized target that is no longer truncated.
+   * @param {HTMLElement} target
+   * @private
+   */
+  static _checkOverflow(target) {
+    const Tooltip = BsCore.plugin('Tooltip');
+    const trigger = BsTooltip._overflowTriggers.get(target);
+    const instance = Tooltip && trigger && Tooltip.getInstance(trigger);
+    if (instance && !BsTooltip.isTruncated(target)) {
+      instance.hide();
+    }
+  }
+
+  /**
+   * Prevents overflow-only tooltips from showing while their target fits.
+   * @param {Event} e - The show.bs.tooltip event.
+   * @private
+   */
+  static _handleOverflowShow(e) {
+    const target = BsTooltip._overflowTargets.get(e.target);
+    if (target && !BsTooltip.isTruncated(target)) {
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @returns {string} The text of the element with collapsed whitespace.
+   * @private
+   */
+  static _fullText(element) {
+    return element.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * @param {Element} node
+   * @returns {Element[]} The node and its descendants with data-bs-toggle="tooltip".
+   * @private
+   */
+  static _triggersIn(node) {
+    const selector = '[data-bs-toggle="tooltip"]';
+    const triggers = Array.from(node.querySelectorAll(selector));
+    if (node.matches(selector)) triggers.unshift(node);
+    return triggers;
+  }
 }
 
+/**
+ * The observers started by `observe()`, by container.
+ * @type {Map<HTMLElement, MutationObserver>}
+ * @private
+ */
+BsTooltip._observers = new Map();
+
+/**
+ * The nodes touched by mutations since the last batch.
+ * @type {{added: Set<Element>, removed: Set<Element>, changed: Set<Element>, scheduled: boolean}}
+ * @private
+ */
+BsTooltip._pending = { added: new Set(), removed: new Set(), changed: new Set(), scheduled: false };
+
+/**
+ * The elements checked for truncation, by the element with the tooltip, and back.
+ * @type {WeakMap<HTMLElement, HTMLElement>}
+ * @private
+ */
+BsTooltip._overflowTargets = new WeakMap();
+/** @type {WeakMap<HTMLElement, HTMLElement>} */
+BsTooltip._overflowTriggers = new WeakMap();
+/** @type {ResizeObserver|null} */
+BsTooltip._resizeObserver = null;
+
+document.addEventListener('show.bs.tooltip', BsTooltip._handleOverflowShow);
+
 // Define the custom element
 if (!customElements.get('bs-tooltip')) {
   customElements.define('bs-tooltip', BsTooltip);